@@ -0,0 +1,183 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const { CognitoJwtVerifier } = require("aws-jwt-verify");
+const { WINDOWS, leaderboardPartition } = require("./partitions.js");
+const { findBoard, checkSubmission } = require("./rules.js");
+const { createSession, readSession } = require("./session.js");
+
+// Score submission API, deployed behind API Gateway as /prod/scores (Lambda
+// proxy integration). Games can't write the leaderboard table themselves;
+// they go through here instead:
+//   POST /scores/session  { gameID }                 -> { session, startedAt }
+//   POST /scores/submit   { session, board, score }  -> { accepted, reason?, improved? }
+// Both need the player's Cognito ID token as "Authorization: Bearer <token>".
+//
+// Every submission is logged to leaderboard_submissions (userID, submittedAt).
+// Rejected ones get reviewStatus "pending", which puts them in the sparse
+// review-index so they can be looked at.
+//
+// DYNAMODB_ENDPOINT points the table client at a stand-in such as DynamoDB
+// Local; local.js sets that up.
+
+const LEADERBOARD_TABLE = "leaderboard";
+const GAMES_TABLE = "games_list";
+const SUBMISSIONS_TABLE = "leaderboard_submissions";
+const USER_POOL_ID = "us-west-2_lg1qptg2n";
+const CLIENT_ID = "4d6esoka62s46lo4d398o3sqpi";
+// Submission log entries expire after this long unless they're up for review
+const SUBMISSION_TTL = 30 * 24 * 60 * 60;
+
+const db = DynamoDBDocumentClient.from(new DynamoDBClient({
+    region: process.env.AWS_REGION || "us-west-2",
+    endpoint: process.env.DYNAMODB_ENDPOINT || undefined
+}));
+
+const verifier = CognitoJwtVerifier.create({
+    userPoolId: USER_POOL_ID,
+    tokenUse: "id",
+    clientId: CLIENT_ID
+});
+
+const HEADERS = {
+    "Content-Type": "application/json",
+    // Games are served from every game server's origin, and no cookies are involved
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS"
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function respond(status, body) {
+    return { statusCode: status, headers: HEADERS, body: JSON.stringify(body) };
+}
+
+async function authenticate(headers) {
+    const header = headers.authorization || headers.Authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!token) throw new HttpError(401, "Missing ID token");
+    // Only for local.js, where there's no user pool to check against
+    if (process.env.SCORES_INSECURE_AUTH === "1") {
+        return JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+    }
+    try {
+        return await verifier.verify(token);
+    } catch (err) {
+        console.log("[scores] Rejected ID token:", err.message);
+        throw new HttpError(401, "Invalid ID token");
+    }
+}
+
+async function getGame(gameID) {
+    if (typeof gameID !== "string" || !gameID) throw new HttpError(400, "gameID is required");
+    const { Item } = await db.send(new GetCommand({ TableName: GAMES_TABLE, Key: { gameID } }));
+    if (!Item) throw new HttpError(404, "Unknown game");
+    return Item;
+}
+
+async function startSession(claims, body) {
+    const game = await getGame(body.gameID);
+    const { token, session } = createSession(claims.sub, game.gameID);
+    return respond(200, { session: token, startedAt: session.startedAt });
+}
+
+async function countRecentSubmissions(userID, now) {
+    const { Count } = await db.send(new QueryCommand({
+        TableName: SUBMISSIONS_TABLE,
+        Select: "COUNT",
+        KeyConditionExpression: "userID = :userID AND submittedAt > :since",
+        ExpressionAttributeValues: { ":userID": userID, ":since": now - 60 * 1000 }
+    }));
+    return Count || 0;
+}
+
+// Writes the score to every window it improves, returns those windows
+async function writeScore(gameID, board, userID, displayName, score, now) {
+    const date = new Date(now);
+    const results = await Promise.allSettled(WINDOWS.map(window => db.send(new UpdateCommand({
+        TableName: LEADERBOARD_TABLE,
+        Key: { gameID: leaderboardPartition(gameID, board.id, window, date), userID },
+        UpdateExpression: "SET score = :s, displayName = :d, submittedAt = :t",
+        ConditionExpression: `attribute_not_exists(score) OR score ${board.order === "asc" ? ">" : "<"} :s`,
+        ExpressionAttributeValues: { ":s": score, ":d": displayName, ":t": now }
+    }))));
+    const improved = [];
+    results.forEach((result, i) => {
+        if (result.status === "fulfilled") {
+            improved.push(WINDOWS[i]);
+        } else if (result.reason.name !== "ConditionalCheckFailedException") {
+            throw result.reason;
+        }
+    });
+    return improved;
+}
+
+async function submitScore(claims, body) {
+    const session = readSession(body.session);
+    if (!session) throw new HttpError(400, "Invalid session");
+    if (session.sub !== claims.sub) throw new HttpError(403, "Session belongs to another user");
+    const game = await getGame(session.gameID);
+    const board = findBoard(game, body.board);
+    if (!board) throw new HttpError(400, "Unknown board");
+
+    const now = Date.now();
+    const recent = await countRecentSubmissions(claims.sub, now);
+    const reason = checkSubmission({ board, session, score: body.score, recent, now });
+    const entry = {
+        userID: claims.sub,
+        submittedAt: now,
+        gameID: game.gameID,
+        board: board.id,
+        score: body.score,
+        sessionID: session.sid,
+        sessionStartedAt: session.startedAt,
+        status: reason ? "rejected" : "accepted"
+    };
+    if (reason) {
+        entry.reason = reason;
+        entry.reviewStatus = "pending";
+    } else {
+        entry.expiresAt = Math.floor(now / 1000) + SUBMISSION_TTL;
+    }
+    await db.send(new PutCommand({ TableName: SUBMISSIONS_TABLE, Item: entry }));
+    if (reason) {
+        console.log(`[scores] Flagged ${claims.sub}'s ${body.score} on ${game.gameID}/${board.id}: ${reason}`);
+        return respond(reason === "rate_limited" ? 429 : 422, { accepted: false, reason });
+    }
+
+    const displayName = claims.preferred_username || claims["cognito:username"] || "Anonymous";
+    const improved = await writeScore(game.gameID, board, claims.sub, displayName, body.score, now);
+    return respond(200, { accepted: true, improved });
+}
+
+const routes = {
+    "/scores/session": startSession,
+    "/scores/submit": submitScore
+};
+
+async function handler(event) {
+    if (event.httpMethod === "OPTIONS") return { statusCode: 204, headers: HEADERS, body: "" };
+    const route = Object.keys(routes).find(path => (event.path || "").endsWith(path));
+    if (!route || event.httpMethod !== "POST") return respond(404, { error: "Not found" });
+    try {
+        const claims = await authenticate(event.headers || {});
+        let body;
+        try {
+            body = JSON.parse(event.body || "{}");
+        } catch {
+            throw new HttpError(400, "Body must be JSON");
+        }
+        return await routes[route](claims, body);
+    } catch (err) {
+        if (err instanceof HttpError) return respond(err.status, { error: err.message });
+        console.error("[scores] Request failed:", err);
+        return respond(500, { error: "Internal error" });
+    }
+}
+
+module.exports = { handler };
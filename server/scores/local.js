@@ -0,0 +1,126 @@
+// Runs the score API against a local DynamoDB stand-in, e.g.
+//   docker run -p 8000:8000 amazon/dynamodb-local
+//   npm run scores:local
+// then point games at it with ccPorted.scoreApi = "http://localhost:3001/scores".
+// Tables are created on start and a test game, game_local_scores, is added
+// with a "score" board (max 10000, 10s minimum session) and a "fastest" time
+// board. ID tokens are decoded without being verified, so any JWT with a sub
+// claim will do.
+
+process.env.DYNAMODB_ENDPOINT = process.env.DYNAMODB_ENDPOINT || "http://localhost:8000";
+process.env.SCORE_SESSION_SECRET = process.env.SCORE_SESSION_SECRET || "local-scores-secret";
+process.env.SCORES_INSECURE_AUTH = "1";
+// DynamoDB Local accepts any credentials but the SDK still wants some
+process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || "local";
+process.env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY || "local";
+
+const express = require("express");
+const morgan = require("morgan");
+const { CreateTableCommand, DynamoDBClient, PutItemCommand, ResourceInUseException } = require("@aws-sdk/client-dynamodb");
+const { handler } = require("./handler.js");
+
+const client = new DynamoDBClient({ region: "us-west-2", endpoint: process.env.DYNAMODB_ENDPOINT });
+
+const tables = [
+    {
+        TableName: "leaderboard",
+        AttributeDefinitions: [
+            { AttributeName: "gameID", AttributeType: "S" },
+            { AttributeName: "userID", AttributeType: "S" },
+            { AttributeName: "score", AttributeType: "N" }
+        ],
+        KeySchema: [
+            { AttributeName: "gameID", KeyType: "HASH" },
+            { AttributeName: "userID", KeyType: "RANGE" }
+        ],
+        GlobalSecondaryIndexes: [{
+            IndexName: "gameID-score-index",
+            KeySchema: [
+                { AttributeName: "gameID", KeyType: "HASH" },
+                { AttributeName: "score", KeyType: "RANGE" }
+            ],
+            Projection: { ProjectionType: "ALL" }
+        }]
+    },
+    {
+        TableName: "games_list",
+        AttributeDefinitions: [{ AttributeName: "gameID", AttributeType: "S" }],
+        KeySchema: [{ AttributeName: "gameID", KeyType: "HASH" }]
+    },
+    {
+        TableName: "leaderboard_submissions",
+        AttributeDefinitions: [
+            { AttributeName: "userID", AttributeType: "S" },
+            { AttributeName: "submittedAt", AttributeType: "N" },
+            { AttributeName: "reviewStatus", AttributeType: "S" }
+        ],
+        KeySchema: [
+            { AttributeName: "userID", KeyType: "HASH" },
+            { AttributeName: "submittedAt", KeyType: "RANGE" }
+        ],
+        GlobalSecondaryIndexes: [{
+            IndexName: "review-index",
+            KeySchema: [
+                { AttributeName: "reviewStatus", KeyType: "HASH" },
+                { AttributeName: "submittedAt", KeyType: "RANGE" }
+            ],
+            Projection: { ProjectionType: "ALL" }
+        }]
+    }
+];
+
+const testGame = {
+    gameID: { S: "game_local_scores" },
+    fName: { S: "Local score test" },
+    leaderboards: {
+        L: [
+            {
+                M: {
+                    id: { S: "score" }, name: { S: "High score" }, order: { S: "desc" }, format: { S: "number" },
+                    rules: { M: { maxScore: { N: "10000" }, minSessionSeconds: { N: "10" } } }
+                }
+            },
+            {
+                M: {
+                    id: { S: "fastest" }, name: { S: "Fastest" }, order: { S: "asc" }, format: { S: "time" },
+                    rules: { M: { minScore: { N: "5000" } } }
+                }
+            }
+        ]
+    }
+};
+
+async function setup() {
+    for (const table of tables) {
+        try {
+            await client.send(new CreateTableCommand({ ...table, BillingMode: "PAY_PER_REQUEST" }));
+            console.log(`Created ${table.TableName}`);
+        } catch (err) {
+            if (!(err instanceof ResourceInUseException)) throw err;
+        }
+    }
+    await client.send(new PutItemCommand({ TableName: "games_list", Item: testGame }));
+}
+
+const app = express();
+app.use(morgan("dev"));
+app.use(express.text({ type: "*/*" }));
+app.all("/scores/*", async (req, res) => {
+    const result = await handler({
+        httpMethod: req.method,
+        path: req.path,
+        headers: req.headers,
+        body: typeof req.body === "string" ? req.body : ""
+    });
+    res.status(result.statusCode).set(result.headers).send(result.body);
+});
+
+setup().then(() => {
+    const port = process.env.PORT || 3001;
+    app.listen(port, () => {
+        console.log(`Score API on http://localhost:${port}/scores (DynamoDB at ${process.env.DYNAMODB_ENDPOINT})`);
+    });
+}).catch(err => {
+    console.error("Couldn't set up the local tables:", err);
+    process.exit(1);
+});
@@ -0,0 +1,29 @@
+// Mirror of src/lib/types/leaderboard.ts (leaderboardPartition and friends),
+// which this plain node code can't import. Keep the two in step.
+
+const DEFAULT_BOARD = { id: "score", name: "High score", order: "desc", format: "number" };
+const WINDOWS = ["all", "week", "day"];
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
+
+function isoWeek(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${pad(week)}`;
+}
+
+function leaderboardPartition(gameID, boardID, window, date = new Date()) {
+    if (window === "all") {
+        return boardID === DEFAULT_BOARD.id ? gameID : `${gameID}#${boardID}`;
+    }
+    const period = window === "day"
+        ? `d${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+        : `w${isoWeek(date)}`;
+    return `${gameID}#${boardID}#${period}`;
+}
+
+module.exports = { DEFAULT_BOARD, WINDOWS, isoWeek, leaderboardPartition };
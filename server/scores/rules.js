@@ -0,0 +1,57 @@
+const { DEFAULT_BOARD } = require("./partitions.js");
+
+// Per-game score rules. They live on each board in the game's games_list
+// entry (leaderboards[].rules, see LeaderboardRules in
+// src/lib/types/leaderboard.ts); anything left out falls back to these.
+const DEFAULT_RULES = {
+    minScore: 0,
+    maxScore: Number.MAX_SAFE_INTEGER,
+    // How long a session has to run before it can post a score
+    minSessionSeconds: 5,
+    // Sessions older than this are refused, the game has to start a new one
+    maxSessionHours: 12,
+    // Highest score that can be reached per second of play, unset for no limit
+    maxScorePerSecond: null,
+    // Across all of a user's games
+    maxSubmissionsPerMinute: 6
+};
+
+function findBoard(game, boardID) {
+    const boards = Array.isArray(game.leaderboards) && game.leaderboards.length > 0 ? game.leaderboards : [DEFAULT_BOARD];
+    return boards.find(board => board && board.id === boardID) || null;
+}
+
+function rulesFor(board) {
+    const rules = { ...DEFAULT_RULES };
+    for (const [key, value] of Object.entries(board.rules || {})) {
+        if (key in DEFAULT_RULES && typeof value === "number" && Number.isFinite(value)) rules[key] = value;
+    }
+    return rules;
+}
+
+/**
+ * Why a submission breaks the rules, or null when it doesn't. `recent` is how
+ * many scores the user submitted in the last minute.
+ */
+function checkSubmission({ board, session, score, recent, now = Date.now() }) {
+    const rules = rulesFor(board);
+    if (typeof score !== "number" || !Number.isFinite(score)) return "invalid_score";
+    // The leaderboard only lists scores above zero
+    if (score <= 0 || score < rules.minScore) return "below_min_score";
+    if (score > rules.maxScore) return "above_max_score";
+    const elapsed = (now - session.startedAt) / 1000;
+    if (elapsed < 0 || elapsed > rules.maxSessionHours * 3600) return "session_expired";
+    if (elapsed < rules.minSessionSeconds) return "session_too_short";
+    // Only meaningful when higher is better: a low time isn't "fast scoring"
+    if (rules.maxScorePerSecond !== null && board.order !== "asc" && score > rules.maxScorePerSecond * elapsed) {
+        return "score_too_fast";
+    }
+    // A time can't be shorter than the session it was played in
+    if (board.order === "asc" && board.format === "time" && score > elapsed * 1000 + 1000) {
+        return "time_exceeds_session";
+    }
+    if (recent >= rules.maxSubmissionsPerMinute) return "rate_limited";
+    return null;
+}
+
+module.exports = { DEFAULT_RULES, findBoard, rulesFor, checkSubmission };
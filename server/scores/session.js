@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+
+// A score session is handed to the game when it starts and has to come back
+// with every score. It's an HMAC-signed "<payload>.<signature>" pair, so the
+// start time in it can be trusted without storing sessions anywhere:
+//   { sid, sub, gameID, startedAt }
+
+function secret() {
+    const value = process.env.SCORE_SESSION_SECRET;
+    if (!value) throw new Error("SCORE_SESSION_SECRET is not set");
+    return value;
+}
+
+function sign(payload) {
+    return crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+}
+
+function createSession(sub, gameID, now = Date.now()) {
+    const session = { sid: crypto.randomUUID(), sub, gameID, startedAt: now };
+    const payload = Buffer.from(JSON.stringify(session)).toString("base64url");
+    return { token: `${payload}.${sign(payload)}`, session };
+}
+
+// The session in `token`, or null when it's malformed or the signature is off
+function readSession(token) {
+    if (typeof token !== "string") return null;
+    const [payload, signature, extra] = token.split(".");
+    if (!payload || !signature || extra !== undefined) return null;
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    try {
+        const session = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        if (typeof session.sub !== "string" || typeof session.gameID !== "string" || typeof session.startedAt !== "number") {
+            return null;
+        }
+        return session;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { createSession, readSession };
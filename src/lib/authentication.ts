@@ -8,6 +8,19 @@ export interface Tokens {
     refreshToken: string | undefined;
 }
 
+/** What the sign-in callback stores in localStorage["ccported_tokens"] */
+export interface StoredTokens {
+    idToken: string;
+    accessToken: string;
+    refreshToken: string;
+    expiresAt?: number; // epoch ms
+}
+
+
+// Identity provider name the Cognito identity pool expects id tokens under
+export const USER_POOL_PROVIDER = "cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n";
+const CLIENT_ID = "4d6esoka62s46lo4d398o3sqpi";
+const COGNITO_DOMAIN = "https://us-west-2lg1qptg2n.auth.us-west-2.amazoncognito.com";
 
 let userManager: UserManager | null = null;
 export function createUserManager(origin: String) {
@@ -15,8 +28,8 @@ export function createUserManager(origin: String) {
         return userManager;
     }
     const cognitoAuthConfig = {
-        authority: "https://cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n",
-        client_id: "4d6esoka62s46lo4d398o3sqpi",
+        authority: `https://${USER_POOL_PROVIDER}`,
+        client_id: CLIENT_ID,
         redirect_uri: origin + "/auth/callback",
         response_type: "code",
         scope: "aws.cognito.signin.user.admin email openid phone profile"
@@ -30,4 +43,275 @@ export function createUserManager(origin: String) {
 
 export async function signinRequest(url: URL) {
     await (createUserManager(url.origin)).signinRedirect();
-}
\ No newline at end of file
+}
+// User pool API calls authorized by the user's own access token (the
+// aws.cognito.signin.user.admin scope above), so no AWS credentials are needed
+const USER_POOL_ENDPOINT = "https://cognito-idp.us-west-2.amazonaws.com/";
+
+async function callUserPool<T>(action: string, body: object, keepalive = false): Promise<T> {
+    const response = await fetch(USER_POOL_ENDPOINT, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/x-amz-json-1.1",
+            "X-Amz-Target": `AWSCognitoIdentityProviderService.${action}`
+        },
+        body: JSON.stringify(body),
+        keepalive
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({})) as { message?: string; __type?: string };
+        const error = new Error(`${action} failed: ${body.message ?? body.__type ?? response.status}`);
+        // e.g. NotAuthorizedException for an expired access token, see isAuthError
+        if (body.__type) error.name = body.__type;
+        throw error;
+    }
+    return await response.json() as T;
+}
+
+export async function getUserAttributes(accessToken: string): Promise<Record<string, string>> {
+    const user = await callUserPool<{ UserAttributes: { Name: string; Value: string }[] }>("GetUser", { AccessToken: accessToken });
+    return Object.fromEntries(user.UserAttributes.map(({ Name, Value }) => [Name, Value]));
+}
+
+/** `keepalive` lets the request finish while the page unloads */
+export async function updateUserAttributes(accessToken: string, attributes: Record<string, string>, keepalive = false): Promise<void> {
+    await callUserPool("UpdateUserAttributes", {
+        AccessToken: accessToken,
+        UserAttributes: Object.entries(attributes).map(([Name, Value]) => ({ Name, Value }))
+    }, keepalive);
+}
+
+// Session lifecycle. The session manager refreshes the stored tokens with the
+// Cognito refresh_token grant a few minutes before they expire, and passes
+// fresh tokens to the other open tabs over a BroadcastChannel. A session only
+// counts as expired once Cognito refuses the refresh token; network trouble
+// just means trying again a bit later.
+
+export const TOKEN_STORAGE_KEY = "ccported_tokens";
+const AUTH_CHANNEL = "ccported_auth";
+// Refresh this long before the tokens expire
+const REFRESH_MARGIN = 5 * 60 * 1000;
+// Wait before retrying a refresh that failed for a reason other than expiry
+const RETRY_DELAY = 30 * 1000;
+
+/** The refresh token was refused (or is missing), the user has to sign in again */
+export class SessionExpiredError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "SessionExpiredError";
+    }
+}
+
+type TokenListener = (tokens: StoredTokens | null) => void;
+const tokenListeners = new Set<TokenListener>();
+const signOutTasks = new Set<() => Promise<void>>();
+let refreshing: Promise<StoredTokens> | null = null;
+let refreshTimer: ReturnType<typeof setTimeout> | null = null;
+let channel: BroadcastChannel | null = null;
+let sessionStarted = false;
+let onSessionExpired: (() => void) | null = null;
+// Set once the user has been told, until new tokens arrive
+let sessionExpired = false;
+
+export function readStoredTokens(): StoredTokens | null {
+    if (typeof localStorage === "undefined") return null;
+    try {
+        const raw = localStorage.getItem(TOKEN_STORAGE_KEY);
+        if (!raw) return null;
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+}
+
+export function isExpired(expiresAt?: number, skewSec = 60): boolean {
+    if (!expiresAt) return true;
+    return Date.now() >= (expiresAt - skewSec * 1000);
+}
+
+/**
+ * Calls `listener` whenever the tokens change in this tab or another one:
+ * signed in, refreshed, or null when signed out
+ */
+export function onTokensChanged(listener: TokenListener): () => void {
+    tokenListeners.add(listener);
+    return () => tokenListeners.delete(listener);
+}
+
+/**
+ * Runs `task` when the user signs out in this tab, before the tokens are
+ * cleared, so it can still make requests as them. Sign-out goes ahead
+ * whether it succeeds or not.
+ */
+export function beforeSignOut(task: () => Promise<void>): () => void {
+    signOutTasks.add(task);
+    return () => signOutTasks.delete(task);
+}
+
+function notifyTokens(tokens: StoredTokens | null) {
+    if (tokens) sessionExpired = false;
+    scheduleRefresh(tokens);
+    for (const listener of tokenListeners) listener(tokens);
+}
+
+/** Stores new tokens (or clears them with null) and tells every tab */
+export function storeSessionTokens(tokens: StoredTokens | null) {
+    try {
+        if (tokens) localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+        else localStorage.removeItem(TOKEN_STORAGE_KEY);
+    } catch (err) {
+        console.warn("[auth] Couldn't store tokens:", err);
+    }
+    channel?.postMessage({ type: "tokens", tokens });
+    notifyTokens(tokens);
+}
+
+export function clearStoredTokens() {
+    storeSessionTokens(null);
+}
+
+async function requestRefresh(refreshToken: string): Promise<StoredTokens> {
+    const response = await fetch(`${COGNITO_DOMAIN}/oauth2/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ grant_type: "refresh_token", client_id: CLIENT_ID, refresh_token: refreshToken })
+    });
+    const data = await response.json().catch(() => ({})) as {
+        id_token?: string;
+        access_token?: string;
+        refresh_token?: string;
+        expires_in?: number;
+        error?: string;
+    };
+    if (!response.ok || !data.id_token || !data.access_token) {
+        if (data.error === "invalid_grant" || data.error === "unauthorized_client") {
+            throw new SessionExpiredError(`Refresh token refused: ${data.error}`);
+        }
+        throw new Error(`Token refresh failed: ${data.error ?? response.status}`);
+    }
+    return {
+        idToken: data.id_token,
+        accessToken: data.access_token,
+        // Cognito only sends a new refresh token when rotation is on
+        refreshToken: data.refresh_token ?? refreshToken,
+        expiresAt: Date.now() + (data.expires_in ?? 3600) * 1000
+    };
+}
+
+/**
+ * Refreshes the tokens now; callers at the same time share one request.
+ * Rejects with SessionExpiredError when the session can't be renewed.
+ */
+export function refreshSession(): Promise<StoredTokens> {
+    if (refreshing) return refreshing;
+    const current = readStoredTokens();
+    refreshing = (async () => {
+        if (!current?.refreshToken) throw new SessionExpiredError("No refresh token");
+        const tokens = await requestRefresh(current.refreshToken);
+        console.log("[auth] Tokens refreshed");
+        storeSessionTokens(tokens);
+        return tokens;
+    })()
+        .catch((err) => {
+            if (err instanceof SessionExpiredError && !sessionExpired) {
+                sessionExpired = true;
+                if (refreshTimer) clearTimeout(refreshTimer);
+                refreshTimer = null;
+                onSessionExpired?.();
+            }
+            throw err;
+        })
+        .finally(() => {
+            refreshing = null;
+        });
+    return refreshing;
+}
+
+function refreshIn(delay: number) {
+    if (refreshTimer) clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        refreshSession().catch((err) => {
+            if (err instanceof SessionExpiredError) return;
+            console.warn("[auth] Token refresh failed, retrying:", err);
+            refreshIn(RETRY_DELAY);
+        });
+    }, delay);
+}
+
+function scheduleRefresh(tokens: StoredTokens | null) {
+    if (refreshTimer) clearTimeout(refreshTimer);
+    refreshTimer = null;
+    if (!sessionStarted || !tokens?.refreshToken) return;
+    refreshIn(Math.max(0, (tokens.expiresAt ?? 0) - REFRESH_MARGIN - Date.now()));
+}
+
+/**
+ * Starts refreshing the stored tokens ahead of expiry and listening for other
+ * tabs' tokens. `onExpired` runs when the session can't be renewed.
+ */
+export function startSessionManager(onExpired: () => void) {
+    onSessionExpired = onExpired;
+    if (sessionStarted || typeof window === "undefined") return;
+    sessionStarted = true;
+    if ("BroadcastChannel" in window) {
+        channel = new BroadcastChannel(AUTH_CHANNEL);
+        channel.onmessage = (event) => {
+            // Already in localStorage, which the tabs share
+            if (event.data?.type === "tokens") notifyTokens(event.data.tokens);
+        };
+    }
+    // Timers are throttled in background tabs, so check again on return
+    const checkExpiry = () => {
+        const tokens = readStoredTokens();
+        if (tokens?.refreshToken && tokens.expiresAt && tokens.expiresAt - REFRESH_MARGIN <= Date.now()) refreshIn(0);
+    };
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") checkExpiry();
+    });
+    window.addEventListener("online", checkExpiry);
+    scheduleRefresh(readStoredTokens());
+}
+
+/**
+ * Signs out everywhere: clears the stored tokens (which tells the other tabs,
+ * and through the play page any running game, to drop theirs), forgets the
+ * oidc-client-ts user and ends the Cognito session so the hosted UI asks for
+ * credentials again next time.
+ */
+export async function signOut(origin: string) {
+    await Promise.allSettled([...signOutTasks].map((task) => task()));
+    storeSessionTokens(null);
+    try {
+        await createUserManager(origin).removeUser();
+    } catch (err) {
+        console.warn("[auth] Couldn't remove the oidc user:", err);
+    }
+    // Give the BroadcastChannel and bridge messages a moment before leaving the page
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    window.location.href = `${COGNITO_DOMAIN}/logout?client_id=${CLIENT_ID}&logout_uri=${encodeURIComponent(origin + "/")}`;
+}
+
+/** Whether `err` says the tokens used were expired or otherwise not accepted */
+export function isAuthError(err: unknown): boolean {
+    if (!(err instanceof Error)) return false;
+    return ["NotAuthorizedException", "ExpiredTokenException", "TokenRefreshRequired"].includes(err.name) ||
+        /expired|not authorized|401/i.test(err.message);
+}
+
+/**
+ * Runs `request` with the current tokens, refreshing them first when they've
+ * expired. A request refused for auth reasons is retried once after a refresh.
+ */
+export async function withFreshTokens<T>(request: (tokens: StoredTokens) => Promise<T>): Promise<T> {
+    let tokens = readStoredTokens();
+    if (!tokens) throw new SessionExpiredError("Not logged in");
+    if (isExpired(tokens.expiresAt)) tokens = await refreshSession();
+    try {
+        return await request(tokens);
+    } catch (err) {
+        if (!isAuthError(err)) throw err;
+        console.log("[auth] Request was refused, retrying with refreshed tokens");
+        return request(await refreshSession());
+    }
+}
@@ -0,0 +1,112 @@
+import { browser } from "$app/environment";
+import type { Game } from "./types/game.js";
+
+// IndexedDB persistence for the games catalog so the home grid can render
+// before Cognito/DynamoDB answer, and keep working while offline.
+const DB_NAME = "ccported_catalog";
+const DB_VERSION = 1;
+const GAMES_STORE = "games";
+const META_STORE = "meta";
+
+// Bump this whenever the shape of Game (or the loadGames projection) changes,
+// older snapshots will then be dropped instead of rendering stale fields.
+export const CATALOG_SCHEMA_VERSION = 1;
+
+export interface CatalogMeta {
+    schemaVersion: number;
+    lastSync: number; // epoch ms, start of the last successful sync
+    lastFullSync: number; // epoch ms
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function openCatalogDB(): Promise<IDBDatabase> {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(GAMES_STORE)) {
+                db.createObjectStore(GAMES_STORE, { keyPath: "gameID" });
+            }
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export async function readCatalog(): Promise<{ games: Game[]; meta: CatalogMeta | null }> {
+    if (!browser || typeof indexedDB === "undefined") return { games: [], meta: null };
+    try {
+        const db = await openCatalogDB();
+        const tx = db.transaction([GAMES_STORE, META_STORE], "readonly");
+        const [games, meta] = await Promise.all([
+            promisify(tx.objectStore(GAMES_STORE).getAll() as IDBRequest<Game[]>),
+            promisify(tx.objectStore(META_STORE).get("meta") as IDBRequest<CatalogMeta | undefined>)
+        ]);
+        if (!meta || meta.schemaVersion !== CATALOG_SCHEMA_VERSION) {
+            await clearCatalog();
+            return { games: [], meta: null };
+        }
+        return { games, meta };
+    } catch (e) {
+        console.warn("[catalogStore] Failed to read catalog", e);
+        return { games: [], meta: null };
+    }
+}
+
+/**
+ * Upserts `games`, deletes `removed` and records the sync time in one
+ * transaction. Pass `replace` for a full sync to drop everything else.
+ */
+export async function writeCatalog(
+    games: Game[],
+    meta: Omit<CatalogMeta, "schemaVersion">,
+    options: { removed?: string[]; replace?: boolean } = {}
+): Promise<void> {
+    if (!browser || typeof indexedDB === "undefined") return;
+    try {
+        const db = await openCatalogDB();
+        const tx = db.transaction([GAMES_STORE, META_STORE], "readwrite");
+        const store = tx.objectStore(GAMES_STORE);
+        if (options.replace) store.clear();
+        for (const gameID of options.removed ?? []) store.delete(gameID);
+        // Round-trip through JSON so Svelte state proxies don't hit structured clone
+        for (const game of games) store.put(JSON.parse(JSON.stringify(game)));
+        tx.objectStore(META_STORE).put({ ...meta, schemaVersion: CATALOG_SCHEMA_VERSION }, "meta");
+        await transactionDone(tx);
+    } catch (e) {
+        console.warn("[catalogStore] Failed to write catalog", e);
+    }
+}
+
+export async function clearCatalog(): Promise<void> {
+    if (!browser || typeof indexedDB === "undefined") return;
+    const db = await openCatalogDB();
+    const tx = db.transaction([GAMES_STORE, META_STORE], "readwrite");
+    tx.objectStore(GAMES_STORE).clear();
+    tx.objectStore(META_STORE).clear();
+    await transactionDone(tx);
+}
@@ -2,19 +2,53 @@ import { ReturnConsumedCapacity, ReturnValue, ScanCommand, UpdateItemCommand } f
 import { initializeTooling, SessionState, State } from "./state.js";
 import type { CNotification } from "./types/notification.js";
 import { createModal } from "./modal.js";
+import { onSharedNotifications, shareNotifications, whenLeader } from "./tabCoordinator.js";
+
+// How often the leader tab looks for new notifications, see startNotificationPolling
+const POLL_INTERVAL = 5 * 60 * 1000;
+
+// Found while the tab was hidden, shown once it's visible again
+let pending: CNotification[] = [];
+let polling = false;
 
 export async function checkNotifications() {
+    handleNotifs(await fetchNotifications());
+}
+
+/**
+ * Every tab shows new notifications; only the leader tab (see
+ * tabCoordinator.ts) asks for them, then hands them to the others.
+ */
+export function startNotificationPolling() {
+    if (polling) return;
+    polling = true;
+    onSharedNotifications(handleNotifs);
+    document.addEventListener("visibilitychange", showPending);
+    whenLeader(() => {
+        setInterval(async () => {
+            try {
+                const notifications = await fetchNotifications();
+                shareNotifications(notifications);
+                handleNotifs(notifications);
+            } catch (err) {
+                console.warn("[checkNotifications] Polling failed:", err);
+            }
+        }, POLL_INTERVAL);
+    });
+}
+
+async function fetchNotifications(): Promise<CNotification[]> {
 
     const table = "ccported_notifs";
 
     const now = Date.now();
 
-    const documentClient = SessionState.dynamoDBClient;
-
-    if (!documentClient || !SessionState.awsReady) {
+    if (!SessionState.dynamoDBClient || !SessionState.awsReady) {
         await initializeTooling();
     }
 
+    const documentClient = SessionState.dynamoDBClient;
+
 
 
     const params = {
@@ -43,18 +77,27 @@ export async function checkNotifications() {
         // Sort by expires ascending
         notifications.sort((a, b) => a.expires - b.expires);
 
-        handleNotifs(notifications);
+        return notifications;
     }
 
-
+    return [];
 }
 
 function handleNotifs(notifications: CNotification[]) {
-    notifications.forEach(notif => {
-        if (State.seenNotifications.includes(notif.notification_id)) {
-            return; // Already seen
-        }
-        State.seenNotifications.push(notif.notification_id);
+    const queued = new Set(pending.map(notif => notif.notification_id));
+    pending.push(...notifications.filter(notif => !queued.has(notif.notification_id)));
+    showPending();
+}
+
+function showPending() {
+    if (document.visibilityState !== "visible") return;
+    // Seen notifications reach every tab, so another one may have shown these already
+    const unseen = pending.filter(notif => !State.seenNotifications.includes(notif.notification_id));
+    pending = [];
+    if (unseen.length === 0) return;
+    // Reassign so the State proxy persists it and the other tabs hear about it
+    State.seenNotifications = [...State.seenNotifications, ...unseen.map(notif => notif.notification_id)];
+    unseen.forEach(notif => {
         addImpression(notif.notification_id);
         createModal({
             title: notif.title,
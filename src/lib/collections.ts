@@ -0,0 +1,138 @@
+import { onStateChange, State } from "./state.js";
+import { PINNED_COLLECTION_ID, type Collection } from "./types/collection.js";
+
+// Named, user-ordered lists of games ("Two-player", "Lunch break", ...). The
+// order of State.collections is the order they're shown in. Every change
+// reassigns State.collections so the State proxy persists it.
+
+const SHARE_CODE_TYPE = "ccported-collection";
+const SHARE_CODE_VERSION = 1;
+const MAX_NAME_LENGTH = 40;
+
+type Listener = (collections: Collection[]) => void;
+const listeners = new Set<Listener>();
+
+/** Calls `listener` whenever collections change, returns an unsubscribe function */
+export function onCollectionsChange(listener: Listener): () => void {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Covers changes made here as well as ones synced from another device
+onStateChange(key => {
+    if (key !== "collections") return;
+    for (const listener of listeners) listener(State.collections);
+});
+
+function setCollections(collections: Collection[]) {
+    State.collections = collections;
+}
+
+function updateCollection(id: string, update: (collection: Collection) => Collection) {
+    if (!getCollection(id)) throw new Error(`Collection ${id} not found`);
+    setCollections(State.collections.map(c => c.id === id ? update(c) : c));
+}
+
+function cleanName(name: string): string {
+    const trimmed = name.trim().slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) throw new Error("Collection name can't be empty");
+    return trimmed;
+}
+
+function newCollectionId(): string {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function getCollection(id: string): Collection | undefined {
+    return State.collections.find(c => c.id === id);
+}
+
+export function getPinnedGames(): string[] {
+    return getCollection(PINNED_COLLECTION_ID)?.gameIDs ?? [];
+}
+
+export function createCollection(name: string, gameIDs: string[] = []): Collection {
+    const collection: Collection = {
+        id: newCollectionId(),
+        name: cleanName(name),
+        gameIDs: [...new Set(gameIDs)],
+        createdAt: Date.now()
+    };
+    setCollections([...State.collections, collection]);
+    return collection;
+}
+
+export function renameCollection(id: string, name: string) {
+    const cleaned = cleanName(name);
+    updateCollection(id, c => ({ ...c, name: cleaned }));
+}
+
+export function deleteCollection(id: string) {
+    if (id === PINNED_COLLECTION_ID) throw new Error("The Pinned collection can't be deleted");
+    setCollections(State.collections.filter(c => c.id !== id));
+}
+
+/** Moves a collection `offset` places (negative is towards the front) */
+export function moveCollection(id: string, offset: number) {
+    const collections = [...State.collections];
+    const from = collections.findIndex(c => c.id === id);
+    if (from === -1) return;
+    const to = Math.max(0, Math.min(collections.length - 1, from + offset));
+    const [moved] = collections.splice(from, 1);
+    collections.splice(to, 0, moved);
+    setCollections(collections);
+}
+
+export function isInCollection(id: string, gameID: string): boolean {
+    return getCollection(id)?.gameIDs.includes(gameID) ?? false;
+}
+
+/** Adds or removes a game, returns whether it is now in the collection */
+export function toggleInCollection(id: string, gameID: string): boolean {
+    const added = !isInCollection(id, gameID);
+    updateCollection(id, c => ({
+        ...c,
+        gameIDs: added ? [gameID, ...c.gameIDs] : c.gameIDs.filter(g => g !== gameID)
+    }));
+    return added;
+}
+
+export function exportCollection(id: string): string {
+    const collection = getCollection(id);
+    if (!collection) throw new Error(`Collection ${id} not found`);
+    return JSON.stringify({
+        type: SHARE_CODE_TYPE,
+        version: SHARE_CODE_VERSION,
+        name: collection.name,
+        gameIDs: collection.gameIDs
+    });
+}
+
+/**
+ * Creates a new collection from a share code made by exportCollection. Games
+ * not in `knownGameIDs` (when given) are dropped, e.g. ones since removed.
+ */
+export function importCollection(code: string, knownGameIDs?: Set<string>): Collection {
+    let parsed: unknown;
+    try {
+        parsed = JSON.parse(code.trim());
+    } catch {
+        throw new Error("That isn't a valid share code");
+    }
+    const data = parsed as { type?: unknown; version?: unknown; name?: unknown; gameIDs?: unknown };
+    if (!data || data.type !== SHARE_CODE_TYPE || typeof data.name !== "string" || !Array.isArray(data.gameIDs)) {
+        throw new Error("That isn't a valid share code");
+    }
+    if (typeof data.version !== "number" || data.version > SHARE_CODE_VERSION) {
+        throw new Error("This share code was made by a newer version of CCPorted");
+    }
+    const gameIDs = data.gameIDs.filter((g): g is string =>
+        typeof g === "string" && (!knownGameIDs || knownGameIDs.has(g))
+    );
+
+    // Don't clobber an existing collection with the same name
+    const names = new Set(State.collections.map(c => c.name));
+    let name = cleanName(data.name);
+    for (let n = 2; names.has(name); n++) name = `${cleanName(data.name)} (${n})`;
+    return createCollection(name, gameIDs);
+}
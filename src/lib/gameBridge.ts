@@ -0,0 +1,363 @@
+// The postMessage protocol between /play and the game running in its iframe.
+// Both ends use this file: the play page imports it, and
+// static/big_game_script.bak.js bundles it into big_game_script.js. It must not
+// import anything, so it builds outside SvelteKit.
+//
+// Every message is an envelope tagged with BRIDGE_PROTOCOL and the sender's
+// BRIDGE_VERSION. Requests carry an id and are answered by exactly one response
+// with the same id (or time out); events are fire-and-forget. Each side opens
+// with a "hello" request listing what it handles, so new request and event
+// types can be added without breaking older builds on the other end. Anything
+// that claims to be a bridge message but doesn't fit the schema is rejected
+// with a logged warning, and with an error response when it was a request.
+//
+// Version history:
+//   0  ad-hoc { fromInternal, action } messages (GET_TOKENS, SWITCH_SERVER,
+//      CACHE_CONTROL...), still understood by the page when acceptLegacy is set
+//   1  this envelope
+
+export const BRIDGE_PROTOCOL = "ccported-bridge";
+export const BRIDGE_VERSION = 1;
+export const DEFAULT_REQUEST_TIMEOUT = 5000;
+
+export interface BridgeTokens {
+    accessToken: string | undefined;
+    idToken: string | undefined;
+    refreshToken: string | undefined;
+}
+
+/** Server description a game sends with switchServer, as understood by updateIframe */
+export interface BridgeServer {
+    address: string;
+    path: string;
+    index: number;
+    name: string;
+}
+
+export interface Hello {
+    version: number;
+    capabilities: string[];
+}
+
+/** Requests the game sends to the play page: payload and response types */
+export type GameRequests = {
+    hello: { payload: Hello; response: Hello };
+    getTokens: { payload: null; response: BridgeTokens | null };
+    switchServer: { payload: BridgeServer; response: null };
+    // Whether the player turned on cloud sync of this game's storage
+    storageSyncEnabled: { payload: null; response: boolean };
+};
+
+/** Requests the play page sends to the game */
+export type PageRequests = {
+    hello: { payload: Hello; response: Hello };
+    clearCache: { payload: null; response: null };
+    cacheStatus: { payload: null; response: { active: boolean; size: number | null } };
+};
+
+/** Events the game sends to the play page: payload types */
+export type GameEvents = {
+    gameLoaded: null;
+    cacheEnabled: null;
+    assetError: { url: string; status?: number; error?: string };
+    // ccPorted.events, aggregated by $lib/gameEvents.ts
+    achievementUnlocked: { id: string; name?: string; description?: string };
+    levelReached: { level: number | string; name?: string };
+    sessionStart: null;
+    sessionEnd: null;
+};
+
+/** Events the play page sends to the game */
+export type PageEvents = {
+    tokens: BridgeTokens | null;
+    // A save was uploaded, restored or deleted from the play page's save manager
+    savesChanged: { slot: string };
+    storageSyncChanged: { enabled: boolean };
+};
+
+type RequestMap = Record<string, { payload: unknown; response: unknown }>;
+type EventMap = Record<string, unknown>;
+
+export type BridgeErrorCode = "malformed" | "unsupported_version" | "unknown_type" | "handler_error" | "timeout";
+
+export class BridgeError extends Error {
+    code: BridgeErrorCode;
+    constructor(code: BridgeErrorCode, message: string) {
+        super(message);
+        this.name = "BridgeError";
+        this.code = code;
+    }
+}
+
+interface Envelope {
+    protocol: typeof BRIDGE_PROTOCOL;
+    version: number;
+    id: string;
+}
+export type BridgeMessage = Envelope & (
+    | { kind: "request"; type: string; payload: unknown }
+    | { kind: "event"; type: string; payload: unknown }
+    | { kind: "response"; replyTo: string; ok: true; payload: unknown }
+    | { kind: "response"; replyTo: string; ok: false; error: { code: BridgeErrorCode; message: string } }
+);
+
+function isObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/** Whether `data` claims to be a bridge message at all, valid or not */
+export function isBridgeEnvelope(data: unknown): data is Record<string, unknown> {
+    return isObject(data) && data.protocol === BRIDGE_PROTOCOL;
+}
+
+/** Why `data` isn't a well-formed bridge message, or null if it is */
+export function validateBridgeMessage(data: Record<string, unknown>): string | null {
+    if (typeof data.version !== "number" || !Number.isInteger(data.version) || data.version < 1) return "missing or invalid version";
+    if (typeof data.id !== "string" || data.id.length === 0) return "missing id";
+    switch (data.kind) {
+        case "request":
+        case "event":
+            return typeof data.type === "string" && data.type.length > 0 ? null : "missing type";
+        case "response":
+            if (typeof data.replyTo !== "string") return "response without replyTo";
+            if (data.ok === true) return null;
+            if (data.ok === false && isObject(data.error) && typeof data.error.code === "string" && typeof data.error.message === "string") return null;
+            return "response without ok/error";
+        default:
+            return "unknown kind";
+    }
+}
+
+function newMessageId(): string {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2);
+}
+
+export interface BridgeOptions<InRequests extends RequestMap> {
+    /** Log prefix, e.g. "[R][PLAY][bridge]" */
+    tag: string;
+    /** Window to send to; null while there is nobody to talk to */
+    peer: () => Window | null;
+    /** targetOrigin for outgoing messages */
+    peerOrigin: () => string;
+    /** Messages from any other origin are ignored */
+    acceptOrigin: (origin: string) => boolean;
+    /** Messages from any other window are ignored, defaults to peer() */
+    acceptSource?: (source: MessageEventSource | null) => boolean;
+    /** Requests this side answers; hello is answered automatically */
+    handlers: { [K in Exclude<keyof InRequests, "hello">]?: (payload: InRequests[K]["payload"]) => InRequests[K]["response"] | Promise<InRequests[K]["response"]> };
+    /** Also answer version 0 GET_TOKENS / SWITCH_SERVER messages */
+    acceptLegacy?: boolean;
+}
+
+export interface Bridge<OutRequests extends RequestMap, InEvents extends EventMap, OutEvents extends EventMap> {
+    request<K extends keyof OutRequests & string>(type: K, payload: OutRequests[K]["payload"], timeout?: number): Promise<OutRequests[K]["response"]>;
+    emit<K extends keyof OutEvents & string>(type: K, payload: OutEvents[K]): void;
+    on<K extends keyof InEvents & string>(type: K, listener: (payload: InEvents[K]) => void): () => void;
+    /** Sends hello and records what the other side supports */
+    handshake(timeout?: number): Promise<Hello>;
+    /** Whether the other side said it handles this request or event type; false before a handshake */
+    supports(type: string): boolean;
+    /** Forget the other side's hello, e.g. when the iframe navigates to another game */
+    reset(): void;
+    destroy(): void;
+}
+
+interface Pending {
+    resolve: (value: unknown) => void;
+    reject: (error: Error) => void;
+    timer: ReturnType<typeof setTimeout>;
+}
+
+/**
+ * One end of the bridge. The play page creates one with GameRequests coming in
+ * and PageRequests going out, the game the other way round.
+ */
+export function createBridge<
+    InRequests extends RequestMap,
+    OutRequests extends RequestMap,
+    InEvents extends EventMap,
+    OutEvents extends EventMap
+>(options: BridgeOptions<InRequests>): Bridge<OutRequests, InEvents, OutEvents> {
+    const pending = new Map<string, Pending>();
+    const listeners = new Map<string, Set<(payload: never) => void>>();
+    let peerHello: Hello | null = null;
+
+    const ownHello = (): Hello => ({
+        version: BRIDGE_VERSION,
+        capabilities: [...Object.keys(options.handlers), ...listeners.keys()]
+    });
+
+    function post(message: BridgeMessage, target: MessageEventSource | null = options.peer(), origin = options.peerOrigin()) {
+        if (!target) return;
+        (target as Window).postMessage(message, origin);
+    }
+
+    function envelope(): Envelope {
+        return { protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, id: newMessageId() };
+    }
+
+    function reply(event: MessageEvent, replyTo: string, result: { ok: true; payload: unknown } | { ok: false; error: BridgeError }) {
+        const message: BridgeMessage = result.ok
+            ? { ...envelope(), kind: "response", replyTo, ok: true, payload: result.payload }
+            : { ...envelope(), kind: "response", replyTo, ok: false, error: { code: result.error.code, message: result.error.message } };
+        post(message, event.source, event.origin);
+    }
+
+    async function handleRequest(event: MessageEvent, id: string, type: string, payload: unknown) {
+        if (type === "hello") {
+            peerHello = isObject(payload) && Array.isArray(payload.capabilities) && typeof payload.version === "number"
+                ? { version: payload.version, capabilities: payload.capabilities.filter((c): c is string => typeof c === "string") }
+                : null;
+            reply(event, id, { ok: true, payload: ownHello() });
+            return;
+        }
+        const handler = (options.handlers as Record<string, ((payload: unknown) => unknown) | undefined>)[type];
+        if (!handler) {
+            console.warn(`${options.tag} Rejected unknown request ${type}`);
+            reply(event, id, { ok: false, error: new BridgeError("unknown_type", `Unknown request type ${type}`) });
+            return;
+        }
+        try {
+            reply(event, id, { ok: true, payload: (await handler(payload)) ?? null });
+        } catch (err) {
+            console.error(`${options.tag} ${type} handler failed:`, err);
+            reply(event, id, { ok: false, error: new BridgeError("handler_error", err instanceof Error ? err.message : String(err)) });
+        }
+    }
+
+    function handleResponse(message: Extract<BridgeMessage, { kind: "response" }>) {
+        const request = pending.get(message.replyTo);
+        if (!request) return;
+        pending.delete(message.replyTo);
+        clearTimeout(request.timer);
+        if (message.ok) request.resolve(message.payload);
+        else request.reject(new BridgeError(message.error.code, message.error.message));
+    }
+
+    // Version 0: { fromInternal: true, action, requestId } from games built
+    // before this protocol. Only the requests they actually sent are understood.
+    async function handleLegacy(event: MessageEvent, data: Record<string, unknown>) {
+        const respond = (message: Record<string, unknown>) => {
+            (event.source as Window | null)?.postMessage({ ...message, requestId: data.requestId }, event.origin);
+        };
+        const handlers = options.handlers as Record<string, ((payload: unknown) => unknown) | undefined>;
+        try {
+            if (data.action === "GET_TOKENS" && handlers.getTokens) {
+                const tokens = await handlers.getTokens(null);
+                respond(tokens ? { action: "SET_TOKENS", content: tokens } : { action: "NO_USER" });
+            } else if (data.action === "SWITCH_SERVER" && handlers.switchServer) {
+                await handlers.switchServer(data.server);
+            } else if (data.action !== "CACHE_ENABLED") {
+                console.warn(`${options.tag} Rejected unknown legacy action ${String(data.action)}`);
+                respond({ action: "UNKNOWN_ACTION" });
+            }
+        } catch (err) {
+            respond({ action: "ERROR", error: err instanceof Error ? err.message : String(err) });
+        }
+    }
+
+    function onMessage(event: MessageEvent) {
+        const data: unknown = event.data;
+        const legacy = options.acceptLegacy && isObject(data) && data.fromInternal === true;
+        if (!isBridgeEnvelope(data) && !legacy) return;
+        const fromPeer = options.acceptSource ? options.acceptSource(event.source) : event.source === options.peer();
+        if (!fromPeer) return;
+        if (!options.acceptOrigin(event.origin)) {
+            console.warn(`${options.tag} Rejected message from unauthorized origin: ${event.origin}`);
+            return;
+        }
+        if (legacy) {
+            handleLegacy(event, data as Record<string, unknown>);
+            return;
+        }
+        const record = data as Record<string, unknown>;
+        const problem = validateBridgeMessage(record);
+        if (problem) {
+            console.warn(`${options.tag} Rejected malformed message (${problem}):`, data);
+            if (record.kind === "request" && typeof record.id === "string") {
+                reply(event, record.id, { ok: false, error: new BridgeError("malformed", problem) });
+            }
+            return;
+        }
+        const message = record as unknown as BridgeMessage;
+        // Newer peers downgrade after the hello exchange; hello itself always goes through
+        const isHello = message.kind === "request" && message.type === "hello";
+        if (message.version > BRIDGE_VERSION && !isHello && message.kind !== "response") {
+            console.warn(`${options.tag} Rejected version ${message.version} message, this side speaks ${BRIDGE_VERSION}`);
+            if (message.kind === "request") {
+                reply(event, message.id, { ok: false, error: new BridgeError("unsupported_version", `Version ${message.version} isn't supported`) });
+            }
+            return;
+        }
+        switch (message.kind) {
+            case "request":
+                handleRequest(event, message.id, message.type, message.payload);
+                break;
+            case "response":
+                handleResponse(message);
+                break;
+            case "event": {
+                const eventListeners = listeners.get(message.type);
+                if (!eventListeners || eventListeners.size === 0) {
+                    console.warn(`${options.tag} Ignored unknown event ${message.type}`);
+                    return;
+                }
+                for (const listener of eventListeners) listener(message.payload as never);
+                break;
+            }
+        }
+    }
+
+    window.addEventListener("message", onMessage);
+
+    const bridge: Bridge<OutRequests, InEvents, OutEvents> = {
+        request(type, payload, timeout = DEFAULT_REQUEST_TIMEOUT) {
+            return new Promise((resolve, reject) => {
+                if (!options.peer()) {
+                    reject(new BridgeError("timeout", "No peer to send to"));
+                    return;
+                }
+                const message: BridgeMessage = { ...envelope(), kind: "request", type, payload };
+                pending.set(message.id, {
+                    resolve: resolve as (value: unknown) => void,
+                    reject,
+                    timer: setTimeout(() => {
+                        pending.delete(message.id);
+                        reject(new BridgeError("timeout", `${type} got no response within ${timeout}ms`));
+                    }, timeout)
+                });
+                post(message);
+            });
+        },
+        emit(type, payload) {
+            post({ ...envelope(), kind: "event", type, payload });
+        },
+        on(type, listener) {
+            let eventListeners = listeners.get(type);
+            if (!eventListeners) listeners.set(type, eventListeners = new Set());
+            eventListeners.add(listener as (payload: never) => void);
+            return () => eventListeners.delete(listener as (payload: never) => void);
+        },
+        async handshake(timeout) {
+            const hello = await bridge.request("hello" as keyof OutRequests & string, ownHello(), timeout) as Hello;
+            peerHello = hello;
+            return hello;
+        },
+        supports(type) {
+            return peerHello?.capabilities.includes(type) ?? false;
+        },
+        reset() {
+            peerHello = null;
+        },
+        destroy() {
+            window.removeEventListener("message", onMessage);
+            for (const request of pending.values()) {
+                clearTimeout(request.timer);
+                request.reject(new BridgeError("timeout", "Bridge closed"));
+            }
+            pending.clear();
+            listeners.clear();
+        }
+    };
+    return bridge;
+}
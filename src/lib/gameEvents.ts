@@ -0,0 +1,254 @@
+import { getUserAttributes, updateUserAttributes, withFreshTokens } from "./authentication.js";
+import type { GameEvents } from "./gameBridge.js";
+import { SessionState } from "./state.js";
+
+// Aggregates what games report through ccPorted.events (big_game_script.js)
+// into the logged-in user's custom:tracking_data attribute, the same blob
+// static/scripts/profile.js reads. Playtime is in minutes:
+//   { version, total_playtime, games: { [gameID]: { playtime, sessions,
+//     lastPlayed, level?, achievements: { [id]: unlockedAt } } } }
+// Cognito caps custom attributes at 2048 characters; when the blob would be
+// longer, the least recently played games are dropped from it.
+// Every open tab (and device) writes the same attribute, so each write re-reads
+// it first and adds only this tab's changes on top, see mergeTracking.
+
+export const TRACKING_ATTRIBUTE = "custom:tracking_data";
+const TRACKING_VERSION = 1;
+const MAX_ATTRIBUTE_LENGTH = 2048;
+const MAX_ID_LENGTH = 64;
+// Events are batched for this long before being written
+const FLUSH_DELAY = 10 * 1000;
+// A session longer than this was a tab left open, it counts up to here
+const MAX_SESSION = 6 * 60 * 60 * 1000;
+
+export interface GameTracking {
+    playtime: number;
+    sessions: number;
+    lastPlayed: number;
+    level?: { value: number | string; name?: string; reachedAt: number };
+    achievements: Record<string, number>;
+}
+
+export interface TrackingData {
+    version: number;
+    total_playtime: number;
+    games: Record<string, GameTracking>;
+}
+
+export type TrackedEvent = "achievementUnlocked" | "levelReached" | "sessionStart" | "sessionEnd";
+
+// `base` is the attribute as last read or written, `data` that plus this tab's changes
+let tracking: { sub: string; base: TrackingData; data: TrackingData } | null = null;
+let loading: Promise<TrackingData | null> | null = null;
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+let dirty = false;
+const openSessions = new Map<string, number>();
+
+function isObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function finiteOr(value: unknown, fallback: number): number {
+    return typeof value === "number" && Number.isFinite(value) ? value : fallback;
+}
+
+/** Reads custom:tracking_data, including blobs written before it had a version */
+export function parseTrackingData(raw: string | undefined): TrackingData {
+    const data: TrackingData = { version: TRACKING_VERSION, total_playtime: 0, games: {} };
+    if (!raw) return data;
+    let parsed: unknown;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        console.warn("[gameEvents] Ignoring unreadable tracking data:", raw);
+        return data;
+    }
+    if (!isObject(parsed)) return data;
+    data.total_playtime = finiteOr(parsed.total_playtime, 0);
+    for (const [gameID, game] of Object.entries(isObject(parsed.games) ? parsed.games : {})) {
+        if (!isObject(game)) continue;
+        const level = isObject(game.level) &&
+            (typeof game.level.value === "number" || typeof game.level.value === "string")
+            ? {
+                value: game.level.value,
+                name: typeof game.level.name === "string" ? game.level.name : undefined,
+                reachedAt: finiteOr(game.level.reachedAt, 0)
+            }
+            : undefined;
+        data.games[gameID] = {
+            playtime: finiteOr(game.playtime, 0),
+            sessions: finiteOr(game.sessions, 0),
+            lastPlayed: finiteOr(game.lastPlayed, 0),
+            level,
+            achievements: Object.fromEntries(
+                Object.entries(isObject(game.achievements) ? game.achievements : {})
+                    .filter(([, unlockedAt]) => typeof unlockedAt === "number")
+            ) as Record<string, number>
+        };
+    }
+    return data;
+}
+
+function serialize(data: TrackingData): string {
+    const games = { ...data.games };
+    let json = JSON.stringify({ ...data, games });
+    // Oldest first, so the games played most recently survive
+    const byAge = Object.keys(games).sort((a, b) => games[a].lastPlayed - games[b].lastPlayed);
+    while (json.length > MAX_ATTRIBUTE_LENGTH && byAge.length > 0) {
+        const dropped = byAge.shift() as string;
+        delete games[dropped];
+        json = JSON.stringify({ ...data, games });
+    }
+    return json;
+}
+
+function currentUser(): { sub: string } | null {
+    const sub = SessionState.user?.profile?.sub;
+    if (!SessionState.loggedIn || !sub) return null;
+    return { sub };
+}
+
+/** The logged-in user's tracking data, fetched once per account; null for guests */
+export async function loadTrackingData(): Promise<TrackingData | null> {
+    const user = currentUser();
+    if (!user) return null;
+    if (tracking?.sub === user.sub) return tracking.data;
+    if (!loading) {
+        loading = withFreshTokens(tokens => getUserAttributes(tokens.accessToken))
+            .then(attributes => {
+                const data = parseTrackingData(attributes[TRACKING_ATTRIBUTE]);
+                tracking = { sub: user.sub, base: structuredClone(data), data };
+                return tracking.data;
+            })
+            .finally(() => {
+                loading = null;
+            });
+    }
+    return loading;
+}
+
+function gameEntry(data: TrackingData, gameID: string): GameTracking {
+    data.games[gameID] ??= { playtime: 0, sessions: 0, lastPlayed: 0, achievements: {} };
+    return data.games[gameID];
+}
+
+/**
+ * Puts the changes from `base` to `local` on top of `fresh`: playtime and
+ * sessions grow by what they grew here, achievements are the union (earliest
+ * unlock wins) and the most recent level and lastPlayed are kept.
+ */
+function mergeTracking(fresh: TrackingData, base: TrackingData, local: TrackingData): TrackingData {
+    const merged = structuredClone(fresh);
+    merged.total_playtime += local.total_playtime - base.total_playtime;
+    for (const [gameID, game] of Object.entries(local.games)) {
+        const before = base.games[gameID];
+        const target = gameEntry(merged, gameID);
+        target.playtime += game.playtime - (before?.playtime ?? 0);
+        target.sessions += game.sessions - (before?.sessions ?? 0);
+        target.lastPlayed = Math.max(target.lastPlayed, game.lastPlayed);
+        if (game.level && game.level.reachedAt > (target.level?.reachedAt ?? -1)) target.level = game.level;
+        for (const [id, unlockedAt] of Object.entries(game.achievements)) {
+            target.achievements[id] = Math.min(target.achievements[id] ?? Infinity, unlockedAt);
+        }
+    }
+    return merged;
+}
+
+function closeSession(data: TrackingData, gameID: string, now: number) {
+    const startedAt = openSessions.get(gameID);
+    if (startedAt === undefined) return;
+    openSessions.delete(gameID);
+    const minutes = Math.min(now - startedAt, MAX_SESSION) / 60000;
+    const game = gameEntry(data, gameID);
+    game.playtime += minutes;
+    game.lastPlayed = now;
+    data.total_playtime += minutes;
+}
+
+function cleanString(value: unknown): string | undefined {
+    return typeof value === "string" && value.trim() ? value.trim().slice(0, MAX_ID_LENGTH) : undefined;
+}
+
+/**
+ * Folds one ccPorted.events report into the user's tracking data and schedules
+ * a write. Reports from guests are dropped.
+ */
+export async function recordGameEvent<K extends TrackedEvent>(gameID: string, type: K, payload: GameEvents[K]) {
+    const data = await loadTrackingData().catch(err => {
+        console.warn("[gameEvents] Couldn't load tracking data:", err);
+        return null;
+    });
+    if (!data) return;
+    const now = Date.now();
+    // Entries are only made for valid reports, so a bad one doesn't list the game
+    switch (type) {
+        case "sessionStart": {
+            // A second start without an end closes the first session
+            closeSession(data, gameID, now);
+            openSessions.set(gameID, now);
+            const game = gameEntry(data, gameID);
+            game.sessions++;
+            game.lastPlayed = now;
+            break;
+        }
+        case "sessionEnd":
+            closeSession(data, gameID, now);
+            break;
+        case "achievementUnlocked": {
+            const id = cleanString((payload as GameEvents["achievementUnlocked"]).id);
+            if (!id || data.games[gameID]?.achievements[id]) return;
+            gameEntry(data, gameID).achievements[id] = now;
+            console.log(`[gameEvents] ${gameID} unlocked ${id}`);
+            break;
+        }
+        case "levelReached": {
+            const { level, name } = payload as GameEvents["levelReached"];
+            const value = typeof level === "number" && Number.isFinite(level) ? level : cleanString(level);
+            if (value === undefined) return;
+            gameEntry(data, gameID).level = { value, name: cleanString(name), reachedAt: now };
+            break;
+        }
+    }
+    dirty = true;
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = setTimeout(() => flushTrackingData(), FLUSH_DELAY);
+}
+
+/**
+ * Writes pending changes to custom:tracking_data, merged into what other tabs
+ * and devices wrote since. Pass `closing` when the page is going away: open
+ * sessions are ended and the request outlives the page; there's no time to
+ * re-read then, so the changes go on top of the last copy read.
+ */
+export async function flushTrackingData(closing = false): Promise<void> {
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+    const user = currentUser();
+    if (!tracking || !user || tracking.sub !== user.sub) return;
+    if (closing) {
+        const now = Date.now();
+        for (const gameID of [...openSessions.keys()]) {
+            closeSession(tracking.data, gameID, now);
+            dirty = true;
+        }
+    }
+    if (!dirty) return;
+    dirty = false;
+    const { base } = tracking;
+    const local = structuredClone(tracking.data);
+    try {
+        const fresh = closing
+            ? base
+            : parseTrackingData((await withFreshTokens(tokens => getUserAttributes(tokens.accessToken)))[TRACKING_ATTRIBUTE]);
+        const merged = mergeTracking(fresh, base, local);
+        const json = serialize(merged);
+        await withFreshTokens(tokens => updateUserAttributes(tokens.accessToken, { [TRACKING_ATTRIBUTE]: json }, closing));
+        if (tracking?.sub === user.sub) {
+            // Events recorded while this was writing stay on top of it
+            tracking = { sub: user.sub, base: merged, data: mergeTracking(merged, local, tracking.data) };
+        }
+    } catch (err) {
+        dirty = true;
+        console.warn("[gameEvents] Couldn't save tracking data:", err);
+    }
+}
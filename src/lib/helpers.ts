@@ -3,6 +3,7 @@ import type { Game } from "./types/game.js";
 import { SessionState, State } from "./state.js";
 import detectAnyAdBlocker from "./adblock/detectAnyAdblock.js";
 import { browser } from "$app/environment";
+import { recordPlay } from "./playHistory.js";
 export function decamelize(string: string): string {
     // HelloWorld -> Hello World
     return string.replace(/([a-z])([A-Z])/g, '$1 $2');
@@ -19,6 +20,16 @@ export function formatNumber(num: number): string {
     return num.toLocaleString();
 }
 
+const RECENT_WINDOW = 604800000; // 7 days in milliseconds
+
+export function isNewGame(game: Game): boolean {
+    return !!game.uploadedTimestamp && game.uploadedTimestamp > 0 && Date.now() - game.uploadedTimestamp < RECENT_WINDOW;
+}
+
+export function isUpdatedGame(game: Game): boolean {
+    return !!game.updatedTimestamp && game.updatedTimestamp > 0 && Date.now() - game.updatedTimestamp < RECENT_WINDOW;
+}
+
 export async function openGame(game: Game) {
     if (window.location.origin.includes("amazonaws")) {
         window.open(`/play.html?gameID=${game.gameID}&r=t`, '_blank');
@@ -34,6 +45,7 @@ export async function openGame(game: Game) {
 export async function trackClick(gameID: string): Promise<void> {
     try {
         State.localPlays += 1;
+        recordPlay(gameID);
         const params = {
             TableName: 'games_list',
             Key: {
@@ -105,11 +117,17 @@ export function getTimeBetween(date1: Date, date2: Date): string {
 export async function getCommitHash(): Promise<string> {
     const apiRoute = "https://api.github.com/repos/ccported/games/commits/main";
 
-    const res = await fetch(apiRoute);
+    try {
+        const res = await fetch(apiRoute);
 
-    const data = await res.json();
+        const data = await res.json();
 
-    const commitHash = data.sha || "";
+        const commitHash = data.sha || "";
 
-    return commitHash;
+        if (commitHash) localStorage.setItem("ccported_commit_hash", commitHash);
+        return commitHash;
+    } catch {
+        // Offline (or rate limited): reuse the last hash so cached thumbnails still resolve
+        return (browser && localStorage.getItem("ccported_commit_hash")) || "";
+    }
 }
\ No newline at end of file
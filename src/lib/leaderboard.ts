@@ -0,0 +1,150 @@
+import { GetItemCommand, QueryCommand, type AttributeValue } from "@aws-sdk/client-dynamodb";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { SessionState, waitForTooling } from "./state.js";
+import {
+    DEFAULT_BOARD,
+    leaderboardPartition,
+    type LeaderboardBoard,
+    type LeaderboardWindow
+} from "./types/leaderboard.js";
+import type { Game } from "./types/game.js";
+
+// Reading side of the leaderboards; see types/leaderboard.ts for how boards
+// and windows map onto the table.
+
+const TABLE = "leaderboard";
+const SCORE_INDEX = "gameID-score-index";
+export const PAGE_SIZE = 10;
+
+export interface LeaderboardEntry {
+    userID: string;
+    displayName: string;
+    score: number;
+    rank: number;
+}
+
+export interface LeaderboardPage {
+    entries: LeaderboardEntry[];
+    // Pass back as startKey for the following page; undefined on the last one
+    nextKey?: Record<string, AttributeValue>;
+}
+
+export function getBoards(game: Pick<Game, "leaderboards">): LeaderboardBoard[] {
+    return game.leaderboards && game.leaderboards.length > 0 ? game.leaderboards : [DEFAULT_BOARD];
+}
+
+async function getClient() {
+    if (!SessionState.dynamoDBClient) await waitForTooling();
+    if (!SessionState.dynamoDBClient) throw new Error("DynamoDB client not initialized");
+    return SessionState.dynamoDBClient;
+}
+
+function toEntry(item: Record<string, AttributeValue>, rank: number): LeaderboardEntry {
+    const row = unmarshall(item);
+    return {
+        userID: row.userID,
+        displayName: row.displayName || "Anonymous",
+        score: row.score,
+        rank
+    };
+}
+
+// Tied scores share a rank: a score's rank is one more than the number of
+// strictly better scores on the board (1, 2, 2, 4)
+async function countBetterScores(
+    client: Awaited<ReturnType<typeof getClient>>,
+    partition: string,
+    board: LeaderboardBoard,
+    score: number
+): Promise<number> {
+    let better = 0;
+    let startKey: Record<string, AttributeValue> | undefined;
+    do {
+        const response = await client.send(new QueryCommand({
+            TableName: TABLE,
+            IndexName: SCORE_INDEX,
+            Select: "COUNT",
+            KeyConditionExpression: `gameID = :partition AND score ${board.order === "asc" ? "<" : ">"} :score`,
+            ExpressionAttributeValues: {
+                ":partition": { S: partition },
+                ":score": { N: String(score) }
+            },
+            ExclusiveStartKey: startKey
+        }));
+        better += response.Count ?? 0;
+        startKey = response.LastEvaluatedKey;
+    } while (startKey);
+    return better;
+}
+
+/**
+ * One page of a board, best first. `firstPosition` is where its first entry
+ * is on the whole board, e.g. 11 for the second page.
+ */
+export async function fetchLeaderboardPage(
+    gameID: string,
+    board: LeaderboardBoard,
+    window: LeaderboardWindow,
+    startKey?: Record<string, AttributeValue>,
+    firstPosition = 1
+): Promise<LeaderboardPage> {
+    const client = await getClient();
+    const partition = leaderboardPartition(gameID, board.id, window);
+    const response = await client.send(new QueryCommand({
+        TableName: TABLE,
+        IndexName: SCORE_INDEX,
+        Limit: PAGE_SIZE,
+        ScanIndexForward: board.order === "asc",
+        KeyConditionExpression: "gameID = :partition AND score > :zero",
+        ExpressionAttributeValues: {
+            ":partition": { S: partition },
+            ":zero": { N: "0" }
+        },
+        ExclusiveStartKey: startKey
+    }));
+    const entries = (response.Items ?? []).map(item => toEntry(item, 0));
+    entries.forEach((entry, i) => {
+        const previous = entries[i - 1];
+        entry.rank = previous?.score === entry.score ? previous.rank : firstPosition + i;
+    });
+    // The first scores may tie with the end of the previous page
+    if (entries.length > 0 && firstPosition > 1) {
+        const firstScore = entries[0].score;
+        const rank = await countBetterScores(client, partition, board, firstScore) + 1;
+        for (const entry of entries) {
+            if (entry.score !== firstScore) break;
+            entry.rank = rank;
+        }
+    }
+    return { entries, nextKey: response.LastEvaluatedKey };
+}
+
+/**
+ * The user's own entry with its rank on the whole board, so it can be shown
+ * even when it's far outside the page being viewed. Null without a score.
+ */
+export async function fetchOwnEntry(
+    gameID: string,
+    board: LeaderboardBoard,
+    window: LeaderboardWindow,
+    userID: string
+): Promise<LeaderboardEntry | null> {
+    const client = await getClient();
+    const partition = leaderboardPartition(gameID, board.id, window);
+    const own = await client.send(new GetItemCommand({
+        TableName: TABLE,
+        Key: { gameID: { S: partition }, userID: { S: userID } }
+    }));
+    if (!own.Item) return null;
+    const score = unmarshall(own.Item).score as number;
+    return toEntry(own.Item, await countBetterScores(client, partition, board, score) + 1);
+}
+
+export function formatLeaderboardScore(score: number, board: LeaderboardBoard): string {
+    if (board.format === "time") {
+        const minutes = Math.floor(score / 60000);
+        const seconds = ((score % 60000) / 1000).toFixed(2).padStart(5, "0");
+        return `${minutes}:${seconds}`;
+    }
+    return score.toLocaleString();
+}
@@ -1,43 +1,145 @@
-import { ScanCommand } from "@aws-sdk/client-dynamodb";
+import { ScanCommand, type AttributeValue } from "@aws-sdk/client-dynamodb";
 import { SessionState, State } from "./state.js";
 import { unmarshall } from "@aws-sdk/util-dynamodb";
 import type { Game } from "./types/game.js";
+import { browser } from "$app/environment";
+import { readCatalog, writeCatalog } from "./catalogStore.js";
 
 
+// Delta syncs can't see click counts moving or games removed without a
+// timestamp bump, so fall back to a full scan once this much time has passed.
+const FULL_SYNC_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+// Tolerate clock differences between whoever stamps the rows and this browser
+const SYNC_SKEW = 5 * 60 * 1000; // 5 minutes
+const GAMES_PROJECTION = "gameID, thumbPath, fName, description, tags, clicks, uploadedTimestamp, updatedTimestamp, isOnline";
 
-export async function loadGames(): Promise<Game[]> {
+type GameItem = ReturnType<typeof unmarshall>;
+
+export async function loadGamesSnapshot(): Promise<Game[]> {
+    const { games } = await readCatalog();
+    return games;
+}
+
+function toGame(item: GameItem): Game | null {
+    if (!item.gameID || !item.fName || !item.thumbPath) return null;
+    return {
+        gameID: item.gameID,
+        thumbPath: item.thumbPath,
+        fName: item.fName,
+        description: item.description,
+        tags: item.tags,
+        clicks: item.clicks,
+        uploadedTimestamp: item.uploadedTimestamp,
+        updatedTimestamp: item.updatedTimestamp
+    };
+}
+
+async function* scanGames(filter: {
+    expression: string;
+    values: Record<string, AttributeValue>;
+}): AsyncGenerator<GameItem[], void, unknown> {
+    if (!SessionState.dynamoDBClient) return;
+    let exclusiveStartKey: Record<string, AttributeValue> | undefined = undefined;
+    do {
+        const command: ScanCommand = new ScanCommand({
+            TableName: "games_list",
+            ProjectionExpression: GAMES_PROJECTION,
+            FilterExpression: filter.expression,
+            ExpressionAttributeValues: filter.values,
+            ExclusiveStartKey: exclusiveStartKey
+        });
+        const response = await SessionState.dynamoDBClient.send(command);
+        yield response.Items ? response.Items.map(item => unmarshall(item)) : [];
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+}
+
+/**
+ * Loads the catalog into State.games, rendering the IndexedDB snapshot first.
+ * With a recent snapshot only games whose updatedTimestamp/uploadedTimestamp
+ * moved since the last sync are requested; otherwise games_list is scanned in
+ * full, page by page (following LastEvaluatedKey). `onPage` is called every
+ * time State.games changes so the grid can render what has arrived so far.
+ */
+export async function loadGames(onPage?: (games: Game[]) => void): Promise<Game[]> {
     if (!SessionState.awsReady || !SessionState.dynamoDBClient) {
         throw new Error("AWS not initialized");
     }
+    if (browser) {
+        // Superseded by the IndexedDB catalog
+        localStorage.removeItem("ccported_games_snapshot");
+    }
+
+    const syncStarted = Date.now();
+    const { games: cachedGames, meta } = await readCatalog();
+    const snapshot = new Map(cachedGames.map(game => [game.gameID, game]));
+    const loaded = new Map(snapshot);
+
+    const publish = () => {
+        State.games = [...loaded.values()];
+        SessionState.plays = State.games.reduce((a, v) => a + (v.clicks ?? 0), 0);
+        onPage?.(State.games);
+    };
+    if (loaded.size > 0) publish();
+
+    const delta = meta !== null && loaded.size > 0 && syncStarted - meta.lastFullSync < FULL_SYNC_INTERVAL;
+    const changed: Game[] = [];
+    const removed: string[] = [];
+    const seen = new Set<string>();
+    let pages = 0;
 
+    const pagesIterator = delta && meta
+        ? scanGames({
+            // isOnline is projected instead of filtered so games taken offline get removed
+            expression: "updatedTimestamp > :since OR uploadedTimestamp > :since",
+            values: { ":since": { N: String(meta.lastSync - SYNC_SKEW) } }
+        })
+        : scanGames({
+            expression: "isOnline = :trueVal",
+            values: { ":trueVal": { BOOL: true } }
+        });
 
-    const command = new ScanCommand({
-        TableName: "games_list",
-        ProjectionExpression: "gameID, thumbPath, fName, description, tags, clicks, uploadedTimestamp, updatedTimestamp",
-        FilterExpression: "isOnline = :trueVal",
-        ExpressionAttributeValues: {
-            ":trueVal": { BOOL: true }
+    for await (const items of pagesIterator) {
+        for (const item of items) {
+            if (delta && item.gameID && item.isOnline !== true) {
+                if (loaded.delete(item.gameID)) removed.push(item.gameID);
+                continue;
+            }
+            const game = toGame(item);
+            if (!game) continue;
+            seen.add(game.gameID);
+            const cached = snapshot.get(game.gameID);
+            if (cached && cached.updatedTimestamp === game.updatedTimestamp) {
+                // Unchanged game, only the play counter moves between visits
+                if (cached.clicks !== game.clicks) {
+                    cached.clicks = game.clicks;
+                    changed.push(cached);
+                }
+                continue;
+            }
+            loaded.set(game.gameID, game);
+            changed.push(game);
         }
-    })
-
-    const response = await SessionState.dynamoDBClient.send(command);
-    const items = response.Items ? response.Items.map(item => unmarshall(item)) : [];
-    State.games = [];
-    for (const item of items) {
-        if (item.gameID && item.fName && item.thumbPath) {
-            State.games.push({
-                gameID: item.gameID,
-                thumbPath: item.thumbPath,
-                fName: item.fName,
-                description: item.description,
-                tags: item.tags,
-                clicks: item.clicks,
-                uploadedTimestamp: item.uploadedTimestamp,
-                updatedTimestamp: item.updatedTimestamp
-            });
+        pages++;
+        publish();
+    }
+
+    if (!delta) {
+        // Anything left over from the snapshot has been removed or taken offline
+        for (const gameID of loaded.keys()) {
+            if (!seen.has(gameID)) {
+                loaded.delete(gameID);
+                removed.push(gameID);
+            }
         }
+        publish();
     }
-    SessionState.plays = State.games.reduce((a, v) => a + v.clicks, 0);
-    State.games = State.games;
+    console.log(`[loadGames] ${delta ? "Delta" : "Full"} sync: ${changed.length} changed, ${removed.length} removed in ${pages} page(s).`);
+
+    await writeCatalog(
+        delta ? changed : State.games,
+        { lastSync: syncStarted, lastFullSync: delta && meta ? meta.lastFullSync : syncStarted },
+        { removed, replace: !delta }
+    );
     return State.games;
 }
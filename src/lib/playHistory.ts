@@ -0,0 +1,122 @@
+import { State } from "./state.js";
+import type { Game } from "./types/game.js";
+
+// Local record of which games this browser has opened and for how long, used
+// for recommendations and the "Continue playing" shelf. Lives in State so it
+// persists with ccported_state.
+
+export interface PlayRecord {
+    plays: number;
+    firstPlayed: number; // epoch ms
+    lastPlayed: number; // epoch ms
+    playTime: number; // ms the game was visible and focused
+}
+
+// How often the /play page checks whether the game is being looked at
+const SESSION_TICK = 1000;
+// How often measured time is written to State (each write re-saves State)
+const SESSION_FLUSH = 15 * 1000;
+
+export function recordPlay(gameID: string) {
+    const previous = State.playHistory[gameID];
+    const now = Date.now();
+    // Reassign so the State proxy persists the change
+    State.playHistory = {
+        ...State.playHistory,
+        [gameID]: {
+            plays: (previous?.plays ?? 0) + 1,
+            firstPlayed: previous?.firstPlayed ?? now,
+            lastPlayed: now,
+            playTime: previous?.playTime ?? 0
+        }
+    };
+}
+
+export function addPlayTime(gameID: string, ms: number) {
+    const previous = State.playHistory[gameID];
+    if (ms <= 0) return;
+    const now = Date.now();
+    State.playHistory = {
+        ...State.playHistory,
+        [gameID]: {
+            plays: previous?.plays ?? 1,
+            firstPlayed: previous?.firstPlayed ?? now,
+            lastPlayed: now,
+            playTime: (previous?.playTime ?? 0) + ms
+        }
+    };
+}
+
+export function hasPlayHistory(): boolean {
+    return Object.keys(State.playHistory).length > 0;
+}
+
+export function removePlayRecord(gameID: string) {
+    const history = { ...State.playHistory };
+    delete history[gameID];
+    State.playHistory = history;
+}
+
+export function clearPlayHistory() {
+    State.playHistory = {};
+}
+
+/** Games from the catalog that have been played, most recent first */
+export function getRecentlyPlayed(games: Game[], history: Record<string, PlayRecord>, limit = 10): Game[] {
+    return games
+        .filter(game => history[game.gameID])
+        .sort((a, b) => history[b.gameID].lastPlayed - history[a.gameID].lastPlayed)
+        .slice(0, limit);
+}
+
+/**
+ * Measures how long `gameID` is actually played on the /play page: time only
+ * counts while the tab is visible and focus is on the page or the game iframe
+ * (document.hasFocus() covers both). Returns a function that stops tracking
+ * and saves whatever was measured.
+ */
+export function startPlaySession(gameID: string): () => void {
+    let pending = 0;
+    let lastTick = Date.now();
+    let lastFlush = lastTick;
+
+    const isActive = () => document.visibilityState === "visible" && document.hasFocus();
+
+    const flush = () => {
+        addPlayTime(gameID, pending);
+        pending = 0;
+        lastFlush = Date.now();
+    };
+
+    const tick = () => {
+        const now = Date.now();
+        // Cap the step so a suspended tab or sleeping laptop doesn't count
+        if (isActive()) pending += Math.min(now - lastTick, SESSION_TICK * 2);
+        lastTick = now;
+        if (now - lastFlush >= SESSION_FLUSH) flush();
+    };
+
+    const onVisibilityChange = () => {
+        tick();
+        if (document.visibilityState === "hidden") flush();
+    };
+
+    const interval = setInterval(tick, SESSION_TICK);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    window.addEventListener("pagehide", flush);
+
+    return () => {
+        clearInterval(interval);
+        document.removeEventListener("visibilitychange", onVisibilityChange);
+        window.removeEventListener("pagehide", flush);
+        tick();
+        flush();
+    };
+}
+
+export function formatPlayTime(ms: number): string {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return "< 1m";
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
@@ -0,0 +1,151 @@
+import { BatchGetItemCommand, type AttributeValue, type BatchGetItemCommandOutput } from "@aws-sdk/client-dynamodb";
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { getUserAttributes, refreshSession, updateUserAttributes, withFreshTokens } from "./authentication.js";
+import { loadTrackingData, TRACKING_ATTRIBUTE } from "./gameEvents.js";
+import { fetchOwnEntry, getBoards, type LeaderboardEntry } from "./leaderboard.js";
+import { listAllSaveSlots } from "./saves.js";
+import { getUserS3Client, SessionState, waitForTooling } from "./state.js";
+import type { Game } from "./types/game.js";
+import type { LeaderboardBoard } from "./types/leaderboard.js";
+
+// Account side of the /profile page. The display name and picture are the
+// preferred_username and picture attributes (the id token carries them too,
+// which is where the navigation reads them); playtime and achievements are
+// custom:tracking_data, see gameEvents.ts.
+
+const BUCKET = "ccporteduserobjects";
+const GAMES_TABLE = "games_list";
+const MAX_NAME_LENGTH = 32;
+const MAX_PICTURE_BYTES = 2 * 1024 * 1024;
+// BatchGetItem takes at most this many keys per request
+const BATCH_SIZE = 100;
+
+export class ProfileError extends Error {
+    code: "not_logged_in" | "invalid_name" | "invalid_picture";
+    constructor(code: ProfileError["code"], message: string) {
+        super(message);
+        this.name = "ProfileError";
+        this.code = code;
+    }
+}
+
+export type PlayedGame = Pick<Game, "gameID" | "fName" | "leaderboards">;
+
+export interface BoardRank {
+    board: LeaderboardBoard;
+    entry: LeaderboardEntry;
+}
+
+function getSub(): string {
+    const sub = SessionState.user?.profile?.sub;
+    if (!SessionState.loggedIn || !sub) throw new ProfileError("not_logged_in", "Log in to edit your profile");
+    return sub;
+}
+
+async function updateAttributes(attributes: Record<string, string>) {
+    await withFreshTokens(tokens => updateUserAttributes(tokens.accessToken, attributes));
+    // New claims only show up in a new id token
+    await refreshSession();
+}
+
+export async function updateDisplayName(name: string): Promise<void> {
+    getSub();
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw new ProfileError("invalid_name", `Display names are 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+    await updateAttributes({ preferred_username: trimmed });
+}
+
+/** Uploads a new profile picture to <sub>/profile.<ext> and returns its URL */
+export async function updateProfilePicture(file: File): Promise<string> {
+    const sub = getSub();
+    if (!file.type.startsWith("image/")) throw new ProfileError("invalid_picture", "Profile pictures have to be images");
+    if (file.size > MAX_PICTURE_BYTES) throw new ProfileError("invalid_picture", "Profile pictures can be up to 2 MB");
+    const extension = file.type.split("/")[1].replace(/\W.*$/, "") || "png";
+    const key = `${sub}/profile.${extension}`;
+    const client = await getUserS3Client();
+    await client.send(new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: new Uint8Array(await file.arrayBuffer()),
+        ContentType: file.type
+    }));
+    // The key stays the same between uploads, so change the URL for caches
+    const url = `https://${BUCKET}.s3.us-west-2.amazonaws.com/${key}?v=${Date.now()}`;
+    await updateAttributes({ picture: url });
+    return url;
+}
+
+/** Names and boards of the given games, by gameID; games no longer listed are left out */
+export async function fetchPlayedGames(gameIDs: string[]): Promise<Record<string, PlayedGame>> {
+    if (!SessionState.dynamoDBClient) await waitForTooling();
+    const client = SessionState.dynamoDBClient;
+    if (!client) throw new Error("DynamoDB client not initialized");
+    const games: Record<string, PlayedGame> = {};
+    for (let i = 0; i < gameIDs.length; i += BATCH_SIZE) {
+        let keys: Record<string, AttributeValue>[] | undefined = gameIDs
+            .slice(i, i + BATCH_SIZE)
+            .map(gameID => ({ gameID: { S: gameID } }));
+        while (keys && keys.length > 0) {
+            const response: BatchGetItemCommandOutput = await client.send(new BatchGetItemCommand({
+                RequestItems: {
+                    [GAMES_TABLE]: { Keys: keys, ProjectionExpression: "gameID, fName, leaderboards" }
+                }
+            }));
+            for (const item of response.Responses?.[GAMES_TABLE] ?? []) {
+                const game = unmarshall(item) as PlayedGame;
+                games[game.gameID] = game;
+            }
+            keys = response.UnprocessedKeys?.[GAMES_TABLE]?.Keys;
+        }
+    }
+    return games;
+}
+
+/** The user's all-time rank on each of the game's boards they have a score on */
+export async function fetchRanks(game: PlayedGame, userID: string): Promise<BoardRank[]> {
+    const ranks = await Promise.all(getBoards(game).map(async board => {
+        const entry = await fetchOwnEntry(game.gameID, board, "all", userID);
+        return entry ? { board, entry } : null;
+    }));
+    return ranks.filter((rank): rank is BoardRank => rank !== null);
+}
+
+/**
+ * Everything stored for the account as one JSON file: user attributes,
+ * playtime and achievements, leaderboard ranks, the list of cloud saves and
+ * this device's settings.
+ */
+export async function exportAccountData(): Promise<Blob> {
+    const sub = getSub();
+    const attributes = await withFreshTokens(tokens => getUserAttributes(tokens.accessToken));
+    // Exported parsed, as tracking
+    const profile = { ...attributes };
+    delete profile[TRACKING_ATTRIBUTE];
+    const tracking = await loadTrackingData();
+    const games = await fetchPlayedGames(Object.keys(tracking?.games ?? {}));
+    const leaderboards: Record<string, { board: string; score: number; rank: number; displayName: string }[]> = {};
+    for (const game of Object.values(games)) {
+        const ranks = await fetchRanks(game, sub);
+        if (ranks.length > 0) {
+            leaderboards[game.gameID] = ranks.map(({ board, entry }) => ({
+                board: board.id,
+                score: entry.score,
+                rank: entry.rank,
+                displayName: entry.displayName
+            }));
+        }
+    }
+    const saves = await listAllSaveSlots();
+    const data = {
+        exportedAt: new Date().toISOString(),
+        profile,
+        tracking,
+        leaderboards,
+        saves,
+        settings: JSON.parse(localStorage.getItem("ccported_state") ?? "null")
+    };
+    return new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+}
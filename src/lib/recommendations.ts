@@ -0,0 +1,129 @@
+import { isNewGame, isUpdatedGame } from "./helpers.js";
+import type { PlayRecord } from "./playHistory.js";
+import { normalizeTag } from "./searchQuery.js";
+import type { Game } from "./types/game.js";
+
+// Client-side "Recommended" ranking. Everything is derived from the local play
+// history (how often and how recently each game was opened), the tags of those
+// games and the global click counts, no backend involved.
+
+// How much each signal contributes to a game's score (they are all 0..1)
+const WEIGHTS = {
+    affinity: 0.45, // tags shared with what this user plays
+    popularity: 0.25, // global clicks
+    replay: 0.2, // games this user keeps coming back to
+    fresh: 0.1 // new or updated this week
+};
+// A play this long ago counts half as much as one today
+const RECENCY_HALF_LIFE = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+function gameTags(game: Game): string[] {
+    return (game.tags ?? []).map(tag => normalizeTag(tag as string));
+}
+
+/** How much a game's history should count, by play count and recency */
+function playWeight(record: PlayRecord, now: number): number {
+    const age = Math.max(0, now - record.lastPlayed);
+    return Math.log2(1 + record.plays) * Math.pow(0.5, age / RECENCY_HALF_LIFE);
+}
+
+/** Normalized tag -> share of the user's (weighted) play history */
+export function getTagAffinity(games: Game[], history: Record<string, PlayRecord>, now = Date.now()): Map<string, number> {
+    const affinity = new Map<string, number>();
+    let total = 0;
+    for (const game of games) {
+        const record = history[game.gameID];
+        if (!record) continue;
+        const weight = playWeight(record, now);
+        for (const tag of gameTags(game)) {
+            affinity.set(tag, (affinity.get(tag) ?? 0) + weight);
+            total += weight;
+        }
+    }
+    if (total > 0) {
+        for (const [tag, weight] of affinity) affinity.set(tag, weight / total);
+    }
+    return affinity;
+}
+
+/**
+ * Ranks `games` for this user, pinned games first. Returns null when there is
+ * no play history yet, callers should fall back to their default order.
+ */
+export function getRecommendedGames(
+    games: Game[],
+    history: Record<string, PlayRecord>,
+    pinnedGames: string[]
+): Game[] | null {
+    if (Object.keys(history).length === 0) return null;
+    const now = Date.now();
+    const affinity = getTagAffinity(games, history, now);
+    const topAffinity = Math.max(0, ...affinity.values());
+    const maxClicks = Math.max(1, ...games.map(game => game.clicks ?? 0));
+    const maxReplay = Math.max(0, ...Object.values(history).map(record => playWeight(record, now)));
+
+    const scores = new Map<string, number>();
+    for (const game of games) {
+        const tags = gameTags(game);
+        const tagScore = tags.length > 0 && topAffinity > 0
+            ? tags.reduce((sum, tag) => sum + (affinity.get(tag) ?? 0), 0) / (topAffinity * Math.sqrt(tags.length))
+            : 0;
+        const record = history[game.gameID];
+        const score =
+            WEIGHTS.affinity * Math.min(1, tagScore) +
+            WEIGHTS.popularity * Math.log(1 + (game.clicks ?? 0)) / Math.log(1 + maxClicks) +
+            WEIGHTS.replay * (record && maxReplay > 0 ? playWeight(record, now) / maxReplay : 0) +
+            WEIGHTS.fresh * (isNewGame(game) || isUpdatedGame(game) ? 1 : 0);
+        scores.set(game.gameID, score);
+    }
+
+    return [...games].sort((a, b) => {
+        const aPinned = pinnedGames.includes(a.gameID);
+        const bPinned = pinnedGames.includes(b.gameID);
+        if (aPinned !== bPinned) return aPinned ? -1 : 1;
+        return (scores.get(b.gameID) ?? 0) - (scores.get(a.gameID) ?? 0);
+    });
+}
+
+/**
+ * Picks the game with the heaviest recent play history and the unplayed games
+ * most similar to it by tags, for a "Because you played X" row.
+ */
+export function getBecauseYouPlayed(
+    games: Game[],
+    history: Record<string, PlayRecord>,
+    limit = 8
+): { seed: Game; games: Game[] } | null {
+    const now = Date.now();
+    let seed: Game | null = null;
+    let seedWeight = 0;
+    for (const game of games) {
+        const record = history[game.gameID];
+        if (!record || gameTags(game).length === 0) continue;
+        const weight = playWeight(record, now);
+        if (weight > seedWeight) {
+            seed = game;
+            seedWeight = weight;
+        }
+    }
+    if (!seed) return null;
+    const seedGame: Game = seed;
+
+    const seedTags = new Set(gameTags(seedGame));
+    const maxClicks = Math.max(1, ...games.map(game => game.clicks ?? 0));
+    const similar = games
+        .filter(game => game.gameID !== seedGame.gameID && !history[game.gameID])
+        .map(game => {
+            const tags = new Set(gameTags(game));
+            const shared = [...tags].filter(tag => seedTags.has(tag)).length;
+            // Jaccard similarity, nudged by popularity to break ties
+            const similarity = shared / (tags.size + seedTags.size - shared || 1);
+            return { game, score: similarity + 0.1 * Math.log(1 + (game.clicks ?? 0)) / Math.log(1 + maxClicks), shared };
+        })
+        .filter(({ shared }) => shared > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ game }) => game);
+
+    return similar.length > 0 ? { seed: seedGame, games: similar } : null;
+}
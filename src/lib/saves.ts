@@ -0,0 +1,142 @@
+import {
+    CopyObjectCommand,
+    DeleteObjectsCommand,
+    GetObjectCommand,
+    ListObjectsV2Command,
+    PutObjectCommand,
+    type S3Client
+} from "@aws-sdk/client-s3";
+import { getUserS3Client, SessionState } from "./state.js";
+import {
+    groupSaveObjects,
+    isValidSlotName,
+    saveVersionKey,
+    savesPrefix,
+    SAVE_QUOTA_BYTES,
+    versionsToPrune,
+    type SaveQuota,
+    type SaveSlot,
+    type SaveVersion
+} from "./types/saves.js";
+
+// The play page's side of cloud saves (ccPorted.saves in big_game_script.js
+// is the game's); see types/saves.ts for the layout.
+
+const BUCKET = "ccporteduserobjects";
+
+export class SaveError extends Error {
+    code: "not_logged_in" | "invalid_slot" | "quota_exceeded";
+    constructor(code: SaveError["code"], message: string) {
+        super(message);
+        this.name = "SaveError";
+        this.code = code;
+    }
+}
+
+async function getUser(): Promise<{ sub: string; client: S3Client }> {
+    const sub = SessionState.user?.profile?.sub;
+    if (!SessionState.loggedIn || !sub) throw new SaveError("not_logged_in", "Log in to use cloud saves");
+    return { sub, client: await getUserS3Client() };
+}
+
+async function listAll(client: S3Client, prefix: string) {
+    const objects: { Key?: string; Size?: number }[] = [];
+    let token: string | undefined;
+    do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix: prefix, ContinuationToken: token }));
+        objects.push(...(page.Contents ?? []));
+        token = page.NextContinuationToken;
+    } while (token);
+    return objects;
+}
+
+export async function listSaveSlots(gameID: string): Promise<SaveSlot[]> {
+    const { sub, client } = await getUser();
+    const prefix = savesPrefix(sub, gameID);
+    return groupSaveObjects(await listAll(client, prefix), prefix);
+}
+
+/** Every game's save slots, for the profile page */
+export async function listAllSaveSlots(): Promise<Record<string, SaveSlot[]>> {
+    const { sub, client } = await getUser();
+    const prefix = savesPrefix(sub);
+    const byGame: Record<string, { Key?: string; Size?: number }[]> = {};
+    for (const object of await listAll(client, prefix)) {
+        const gameID = object.Key?.slice(prefix.length).split("/")[0];
+        if (gameID) (byGame[gameID] ??= []).push(object);
+    }
+    return Object.fromEntries(
+        Object.entries(byGame).map(([gameID, objects]) => [gameID, groupSaveObjects(objects, savesPrefix(sub, gameID))])
+    );
+}
+
+/** Space taken by all of the user's saves, across games */
+export async function getSaveQuota(): Promise<SaveQuota> {
+    const { sub, client } = await getUser();
+    const objects = await listAll(client, savesPrefix(sub));
+    return { used: objects.reduce((total, object) => total + (object.Size ?? 0), 0), limit: SAVE_QUOTA_BYTES };
+}
+
+async function pruneSlot(client: S3Client, gameID: string, slot: string) {
+    const slots = await listSaveSlots(gameID);
+    const old = versionsToPrune(slots.find(s => s.slot === slot) ?? { slot, versions: [] });
+    if (old.length === 0) return;
+    await client.send(new DeleteObjectsCommand({
+        Bucket: BUCKET,
+        Delete: { Objects: old.map(version => ({ Key: version.key })) }
+    }));
+}
+
+/** Stores `data` as the newest version of `slot`, dropping versions past the limit */
+export async function uploadSave(gameID: string, slot: string, data: Blob): Promise<SaveVersion> {
+    if (!isValidSlotName(slot)) throw new SaveError("invalid_slot", "Slot names are up to 64 letters, digits, spaces, - or _");
+    const { sub, client } = await getUser();
+    const quota = await getSaveQuota();
+    if (quota.used + data.size > quota.limit) {
+        throw new SaveError("quota_exceeded", "Not enough cloud save space left, delete some saves first");
+    }
+    const savedAt = Date.now();
+    const key = saveVersionKey(sub, gameID, slot, savedAt);
+    await client.send(new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: new Uint8Array(await data.arrayBuffer()),
+        ContentType: "application/octet-stream"
+    }));
+    await pruneSlot(client, gameID, slot);
+    return { key, savedAt, size: data.size };
+}
+
+export async function downloadSave(version: SaveVersion): Promise<Blob> {
+    const { client } = await getUser();
+    const response = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: version.key }));
+    const bytes = await response.Body?.transformToByteArray();
+    return new Blob(bytes ? [new Uint8Array(bytes)] : [], { type: "application/octet-stream" });
+}
+
+/** Makes an older version the newest one again; the versions in between are kept */
+export async function restoreSave(gameID: string, slot: string, version: SaveVersion): Promise<SaveVersion> {
+    const { sub, client } = await getUser();
+    const quota = await getSaveQuota();
+    if (quota.used + version.size > quota.limit) {
+        throw new SaveError("quota_exceeded", "Not enough cloud save space left, delete some saves first");
+    }
+    const savedAt = Date.now();
+    const key = saveVersionKey(sub, gameID, slot, savedAt);
+    await client.send(new CopyObjectCommand({
+        Bucket: BUCKET,
+        CopySource: `${BUCKET}/${encodeURIComponent(version.key)}`,
+        Key: key
+    }));
+    await pruneSlot(client, gameID, slot);
+    return { key, savedAt, size: version.size };
+}
+
+/** Deletes a slot with all of its versions */
+export async function deleteSaveSlot(slot: SaveSlot): Promise<void> {
+    const { client } = await getUser();
+    await client.send(new DeleteObjectsCommand({
+        Bucket: BUCKET,
+        Delete: { Objects: slot.versions.map(version => ({ Key: version.key })) }
+    }));
+}
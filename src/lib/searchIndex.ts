@@ -0,0 +1,318 @@
+import { decamelize } from "./helpers.js";
+import type { Game } from "./types/game.js";
+
+// Inverted index over the catalog for the search overlay. Names weigh more
+// than tags, tags more than descriptions. Terms match exactly, by prefix, or
+// within a small edit distance so typos still find the game.
+
+export type SearchField = "fName" | "tags" | "description";
+
+export const FIELD_WEIGHTS: Record<SearchField, number> = {
+    fName: 3,
+    tags: 2,
+    description: 1
+};
+
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.6;
+const FUZZY_MATCH = 0.4; // divided by the edit distance
+
+/** [start, end) character offsets into the original field text */
+export type MatchRange = [number, number];
+
+export interface SearchResult {
+    game: Game;
+    score: number;
+    highlights: {
+        fName: MatchRange[];
+        description: MatchRange[];
+        tags: string[];
+    };
+}
+
+interface Token {
+    term: string;
+    field: SearchField;
+    position: number; // token index within the field (tags are one field)
+    start: number;
+    end: number;
+    tag?: string;
+}
+
+interface IndexedGame {
+    game: Game;
+    signature: string;
+    tokens: Token[];
+}
+
+export function tokenize(text: string): { term: string; start: number; end: number }[] {
+    const tokens: { term: string; start: number; end: number }[] = [];
+    const regex = /[\p{L}\p{N}]+/gu;
+    let match: RegExpExecArray | null;
+    while ((match = regex.exec(text)) !== null) {
+        tokens.push({
+            term: match[0].toLowerCase(),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent
+ * transpositions ("slpoe" -> "slope" is 1). Gives up, returning max + 1, once
+ * the distance is known to exceed `max`.
+ */
+export function editDistance(a: string, b: string, max: number): number {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let beforePrevious: number[] = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function allowedTypos(term: string): number {
+    if (term.length < 4) return 0;
+    if (term.length < 8) return 1;
+    return 2;
+}
+
+function gameSignature(game: Game): string {
+    return `${game.updatedTimestamp}|${game.fName}|${game.description}|${(game.tags ?? []).join(",")}`;
+}
+
+function tokenizeGame(game: Game): Token[] {
+    const tokens: Token[] = [];
+    tokenize(game.fName ?? "").forEach((t, position) => tokens.push({ ...t, field: "fName", position }));
+    tokenize(game.description ?? "").forEach((t, position) => tokens.push({ ...t, field: "description", position }));
+    let position = 0;
+    for (const tag of game.tags ?? []) {
+        for (const t of tokenize(decamelize(tag as string))) {
+            tokens.push({ ...t, field: "tags", position: position++, tag: tag as string });
+        }
+        // Keep phrases from spanning two different tags
+        position++;
+    }
+    return tokens;
+}
+
+function parseQuery(query: string): { words: string[]; phrases: string[][] } {
+    const phrases: string[][] = [];
+    const rest = query.replace(/"([^"]*)"?/g, (_, phrase: string) => {
+        const terms = tokenize(phrase).map(t => t.term);
+        if (terms.length > 0) phrases.push(terms);
+        return " ";
+    });
+    return { words: tokenize(rest).map(t => t.term), phrases };
+}
+
+export class SearchIndex {
+    private docs = new Map<string, IndexedGame>();
+    private postings = new Map<string, Map<string, Token[]>>();
+
+    /** Re-indexes only games that were added, removed or changed since the last call */
+    update(games: Game[]) {
+        const incoming = new Set<string>();
+        for (const game of games) {
+            incoming.add(game.gameID);
+            const existing = this.docs.get(game.gameID);
+            const signature = gameSignature(game);
+            if (existing && existing.signature === signature) {
+                // Same text, but keep the latest object (clicks etc.) for results
+                existing.game = game;
+                continue;
+            }
+            if (existing) this.remove(game.gameID);
+            this.add(game, signature);
+        }
+        for (const gameID of [...this.docs.keys()]) {
+            if (!incoming.has(gameID)) this.remove(gameID);
+        }
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    private add(game: Game, signature: string) {
+        const tokens = tokenizeGame(game);
+        this.docs.set(game.gameID, { game, signature, tokens });
+        for (const token of tokens) {
+            let byGame = this.postings.get(token.term);
+            if (!byGame) {
+                byGame = new Map();
+                this.postings.set(token.term, byGame);
+            }
+            const list = byGame.get(game.gameID);
+            if (list) {
+                list.push(token);
+            } else {
+                byGame.set(game.gameID, [token]);
+            }
+        }
+    }
+
+    private remove(gameID: string) {
+        const doc = this.docs.get(gameID);
+        if (!doc) return;
+        for (const token of doc.tokens) {
+            const byGame = this.postings.get(token.term);
+            if (!byGame) continue;
+            byGame.delete(gameID);
+            if (byGame.size === 0) this.postings.delete(token.term);
+        }
+        this.docs.delete(gameID);
+    }
+
+    /** Indexed terms a query word matches, with how well each one matches */
+    private expand(word: string): [string, number][] {
+        const matches: [string, number][] = [];
+        const typos = allowedTypos(word);
+        for (const term of this.postings.keys()) {
+            if (term === word) {
+                matches.push([term, EXACT_MATCH]);
+            } else if (term.startsWith(word)) {
+                matches.push([term, PREFIX_MATCH]);
+            } else if (typos > 0) {
+                const distance = editDistance(word, term, typos);
+                if (distance <= typos) matches.push([term, FUZZY_MATCH / distance]);
+            }
+        }
+        return matches;
+    }
+
+    /** Games containing every phrase term in order, within a single field */
+    private matchPhrase(phrase: string[]): Map<string, Token[]> {
+        const found = new Map<string, Token[]>();
+        const first = this.postings.get(phrase[0]);
+        if (!first) return found;
+        for (const [gameID, starts] of first) {
+            const doc = this.docs.get(gameID);
+            if (!doc) continue;
+            for (const start of starts) {
+                const run: Token[] = [start];
+                for (let i = 1; i < phrase.length; i++) {
+                    const next = doc.tokens.find(t =>
+                        t.field === start.field && t.position === start.position + i && t.term === phrase[i]
+                    );
+                    if (!next) break;
+                    run.push(next);
+                }
+                if (run.length === phrase.length) {
+                    found.set(gameID, [...(found.get(gameID) ?? []), ...run]);
+                }
+            }
+        }
+        return found;
+    }
+
+    search(query: string): SearchResult[] {
+        const { words, phrases } = parseQuery(query);
+        if (words.length === 0 && phrases.length === 0) {
+            return [...this.docs.values()].map(({ game }) => ({
+                game,
+                score: 1,
+                highlights: { fName: [], description: [], tags: [] }
+            }));
+        }
+
+        const scores = new Map<string, number>();
+        const matchedWords = new Map<string, number>();
+        const hits = new Map<string, Token[]>();
+        const addHits = (gameID: string, tokens: Token[]) => {
+            hits.set(gameID, [...(hits.get(gameID) ?? []), ...tokens]);
+        };
+
+        // Phrases are required: only games containing all of them are candidates
+        let candidates: Set<string> | null = null;
+        for (const phrase of phrases) {
+            const found = this.matchPhrase(phrase);
+            const next = new Set<string>();
+            for (const [gameID, tokens] of found) {
+                if (candidates && !candidates.has(gameID)) continue;
+                next.add(gameID);
+                const best = Math.max(...tokens.map(t => FIELD_WEIGHTS[t.field]));
+                scores.set(gameID, (scores.get(gameID) ?? 0) + best * phrase.length * 2);
+                addHits(gameID, tokens);
+            }
+            candidates = next;
+        }
+
+        for (const word of words) {
+            const best = new Map<string, number>();
+            for (const [term, quality] of this.expand(word)) {
+                for (const [gameID, tokens] of this.postings.get(term) ?? []) {
+                    if (candidates && !candidates.has(gameID)) continue;
+                    const score = Math.max(...tokens.map(t => FIELD_WEIGHTS[t.field])) * quality;
+                    if (score > (best.get(gameID) ?? 0)) best.set(gameID, score);
+                    addHits(gameID, tokens);
+                }
+            }
+            for (const [gameID, score] of best) {
+                scores.set(gameID, (scores.get(gameID) ?? 0) + score);
+                matchedWords.set(gameID, (matchedWords.get(gameID) ?? 0) + 1);
+            }
+        }
+
+        const results: SearchResult[] = [];
+        for (const [gameID, score] of scores) {
+            const doc = this.docs.get(gameID);
+            if (!doc) continue;
+            // Games matching more of the query words rank above partial matches
+            const coverage = words.length > 0 ? (matchedWords.get(gameID) ?? 0) / words.length : 1;
+            const tokens = hits.get(gameID) ?? [];
+            results.push({
+                game: doc.game,
+                score: score * coverage,
+                highlights: {
+                    fName: mergeRanges(tokens.filter(t => t.field === "fName").map(t => [t.start, t.end])),
+                    description: mergeRanges(tokens.filter(t => t.field === "description").map(t => [t.start, t.end])),
+                    tags: [...new Set(tokens.filter(t => t.tag !== undefined).map(t => t.tag as string))]
+                }
+            });
+        }
+        return results.filter(r => r.score > 0);
+    }
+}
+
+function mergeRanges(ranges: MatchRange[]): MatchRange[] {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged: MatchRange[] = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    }
+    return merged;
+}
+
+/** Splits `text` into plain and highlighted segments for rendering */
+export function highlightSegments(text: string, ranges: MatchRange[]): { text: string; match: boolean }[] {
+    const segments: { text: string; match: boolean }[] = [];
+    let cursor = 0;
+    for (const [start, end] of ranges) {
+        if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+        segments.push({ text: text.slice(start, end), match: true });
+        cursor = end;
+    }
+    if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+    return segments;
+}
@@ -0,0 +1,141 @@
+import { isNewGame, isUpdatedGame } from "./helpers.js";
+import type { Game } from "./types/game.js";
+
+// Structured search syntax for the search overlay, e.g.
+//   tag:puzzle -tag:horror plays:>10k is:new sort:az some free text
+// Anything that isn't a recognised filter is kept as free text for the index.
+
+export type SortType = "default" | "az" | "za" | "clicksAsc" | "clicksDesc" | "new" | "old";
+
+export const SORT_TYPES: SortType[] = ["default", "az", "za", "clicksAsc", "clicksDesc", "new", "old"];
+
+const SORT_ALIASES: Record<string, SortType> = {
+    recommended: "default",
+    popular: "clicksDesc",
+    plays: "clicksDesc",
+    newest: "new",
+    oldest: "old"
+};
+
+export type GameFlag = "new" | "updated" | "pinned";
+const GAME_FLAGS: GameFlag[] = ["new", "updated", "pinned"];
+
+type Comparison = ">" | ">=" | "<" | "<=" | "=";
+
+export interface ParsedQuery {
+    text: string;
+    includeTags: string[];
+    excludeTags: string[];
+    plays: { op: Comparison; value: number }[];
+    is: GameFlag[];
+    isNot: GameFlag[];
+    sort: SortType | null;
+}
+
+/** Splits on whitespace, keeping "quoted strings" (including key:"a b") together */
+function splitQuery(input: string): string[] {
+    return input.match(/-?[^\s"]*"[^"]*"?|\S+/g) ?? [];
+}
+
+function unquote(value: string): string {
+    return value.replace(/^"|"$/g, "");
+}
+
+/** Tags are camel-cased ("HorrorGame"), so compare them ignoring case and spacing */
+export function normalizeTag(tag: string): string {
+    return tag.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+function parseCount(value: string): number | null {
+    const match = /^(\d+(?:\.\d+)?)([km]?)$/i.exec(value.replace(/,/g, ""));
+    if (!match) return null;
+    const multiplier = { "": 1, k: 1_000, m: 1_000_000 }[match[2].toLowerCase() as "" | "k" | "m"];
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+export function parseSearchQuery(input: string): ParsedQuery {
+    const query: ParsedQuery = {
+        text: "",
+        includeTags: [],
+        excludeTags: [],
+        plays: [],
+        is: [],
+        isNot: [],
+        sort: null
+    };
+    const text: string[] = [];
+
+    for (const part of splitQuery(input)) {
+        const negated = part.startsWith("-");
+        const match = /^-?(\w+):(.+)$/.exec(part);
+        if (!match) {
+            text.push(part);
+            continue;
+        }
+        const key = match[1].toLowerCase();
+        const value = unquote(match[2]);
+
+        if (key === "tag" && value) {
+            (negated ? query.excludeTags : query.includeTags).push(normalizeTag(value));
+        } else if (key === "plays" && !negated) {
+            const comparison = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+            const count = comparison ? parseCount(comparison[2]) : null;
+            if (comparison && count !== null) {
+                query.plays.push({ op: (comparison[1] ?? "=") as Comparison, value: count });
+            } else {
+                text.push(part);
+            }
+        } else if (key === "is" && GAME_FLAGS.includes(value.toLowerCase() as GameFlag)) {
+            (negated ? query.isNot : query.is).push(value.toLowerCase() as GameFlag);
+        } else if (key === "sort" && !negated) {
+            const sort = SORT_TYPES.find(s => s.toLowerCase() === value.toLowerCase()) ?? SORT_ALIASES[value.toLowerCase()];
+            if (sort) {
+                query.sort = sort;
+            } else {
+                text.push(part);
+            }
+        } else {
+            // Not a filter we know, search for it literally
+            text.push(part);
+        }
+    }
+
+    query.text = text.join(" ");
+    return query;
+}
+
+export function hasFilters(query: ParsedQuery): boolean {
+    return query.includeTags.length > 0 ||
+        query.excludeTags.length > 0 ||
+        query.plays.length > 0 ||
+        query.is.length > 0 ||
+        query.isNot.length > 0;
+}
+
+function compare(value: number, op: Comparison, target: number): boolean {
+    switch (op) {
+        case ">": return value > target;
+        case ">=": return value >= target;
+        case "<": return value < target;
+        case "<=": return value <= target;
+        default: return value === target;
+    }
+}
+
+function hasFlag(game: Game, flag: GameFlag, pinnedGames: string[]): boolean {
+    switch (flag) {
+        case "new": return isNewGame(game);
+        case "updated": return isUpdatedGame(game);
+        case "pinned": return pinnedGames.includes(game.gameID);
+    }
+}
+
+export function matchesFilters(game: Game, query: ParsedQuery, pinnedGames: string[]): boolean {
+    const tags = (game.tags ?? []).map(tag => normalizeTag(tag as string));
+    if (!query.includeTags.every(tag => tags.includes(tag))) return false;
+    if (query.excludeTags.some(tag => tags.includes(tag))) return false;
+    if (!query.plays.every(({ op, value }) => compare(game.clicks ?? 0, op, value))) return false;
+    if (!query.is.every(flag => hasFlag(game, flag, pinnedGames))) return false;
+    if (query.isNot.some(flag => hasFlag(game, flag, pinnedGames))) return false;
+    return true;
+}
@@ -0,0 +1,263 @@
+import { browser } from "$app/environment";
+import { SessionState, State, testSingleServer, type ServerProbe } from "./state.js";
+import type { Server } from "./types/servers.js";
+
+// Background half of server_flow.md. findServer() picks a server once at
+// startup; this keeps probing State.servers for the rest of the session:
+//  - a healthy server that scores clearly better is promoted to
+//    State.currentServer, so the next page load uses it
+//  - the current server is demoted as soon as it keeps failing
+// Each server is re-checked on its own backoff: quickly after its status
+// changes, then less and less often while it stays the same.
+//
+// A server's score (0..1) blends its configured priority, measured latency,
+// recent failure rate and whether its region matches the user's, scaled by the
+// weight servers.txt gives it. Servers without probes yet get neutral
+// latency/reliability.
+
+const MIN_INTERVAL = 15 * 1000;
+const MAX_INTERVAL = 10 * 60 * 1000;
+// The server in use is never left unchecked for longer than this
+const CURRENT_MAX_INTERVAL = 2 * 60 * 1000;
+// Consecutive failures before the current server is given up on
+const DEMOTE_AFTER_FAILURES = 2;
+// Share of recent probes that must succeed for a server to be promoted
+const PROMOTE_MIN_SUCCESS_RATE = 0.8;
+const PROMOTE_MIN_SAMPLES = 2;
+
+const SCORE_WEIGHTS = {
+    priority: 0.35,
+    latency: 0.35,
+    reliability: 0.2,
+    region: 0.1
+};
+// Probe times at or under FAST_TIME score full marks, SLOW_TIME and over none
+const FAST_TIME = 150;
+const SLOW_TIME = 1500;
+// Hysteresis: a challenger must beat the current server by this much, and the
+// current server must have been in place this long, before switching
+const SWITCH_MARGIN = 0.1;
+const MIN_SWITCH_INTERVAL = 5 * 60 * 1000;
+
+export interface ServerStats {
+    samples: number;
+    successRate: number; // 0..1
+    averageTime: number | null; // ms over successful probes
+    consecutiveFailures: number;
+    lastProbe: ServerProbe | null;
+}
+
+export interface ServerScore {
+    server: Server;
+    score: number; // 0..1 at weight 1, higher is better
+    parts: Record<keyof typeof SCORE_WEIGHTS, number>; // each 0..1
+    usable: boolean; // false while failing repeatedly
+}
+
+export type ServerHealthEvent =
+    | { type: "promoted"; from: Server; to: Server }
+    | { type: "demoted"; from: Server; to: Server | null };
+
+interface Schedule {
+    interval: number;
+    nextProbeAt: number;
+}
+
+const schedules = new Map<string, Schedule>();
+const listeners = new Set<(event: ServerHealthEvent) => void>();
+let timer: ReturnType<typeof setTimeout> | null = null;
+let running = false;
+let lastSwitchAt = Date.now();
+
+export function getServerStats(hostname: string): ServerStats {
+    const history = SessionState.serverHistory[hostname] ?? [];
+    const successes = history.filter(probe => probe.success);
+    let consecutiveFailures = 0;
+    for (let i = history.length - 1; i >= 0 && !history[i].success; i--) consecutiveFailures++;
+    return {
+        samples: history.length,
+        successRate: history.length > 0 ? successes.length / history.length : 0,
+        averageTime: successes.length > 0
+            ? successes.reduce((sum, probe) => sum + probe.time, 0) / successes.length
+            : null,
+        consecutiveFailures,
+        lastProbe: history[history.length - 1] ?? null
+    };
+}
+
+export function isServerHealthy(server: Server): boolean {
+    const stats = getServerStats(server.hostname);
+    return stats.lastProbe?.success === true &&
+        stats.samples >= PROMOTE_MIN_SAMPLES &&
+        stats.successRate >= PROMOTE_MIN_SUCCESS_RATE;
+}
+
+/** Coarse region from the browser's time zone, matched against Server.region */
+export function getRegionHint(): string | null {
+    if (!browser) return null;
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone ?? "";
+    const [area] = zone.split("/");
+    switch (area) {
+        case "America": return "na";
+        case "Europe": return "eu";
+        case "Asia": return "asia";
+        case "Australia":
+        case "Pacific": return "oceania";
+        case "Africa": return "africa";
+        default: return null;
+    }
+}
+
+export function scoreServer(server: Server, servers: Server[] = State.servers): ServerScore {
+    const stats = getServerStats(server.hostname);
+    const priorities = servers.map(s => s.priority);
+    const best = Math.min(server.priority, ...priorities);
+    const worst = Math.max(server.priority, ...priorities);
+    const region = getRegionHint();
+    const parts = {
+        priority: worst === best ? 1 : (worst - server.priority) / (worst - best),
+        latency: stats.averageTime === null
+            ? 0.5
+            : Math.min(1, Math.max(0, (SLOW_TIME - stats.averageTime) / (SLOW_TIME - FAST_TIME))),
+        reliability: stats.samples === 0 ? 0.5 : stats.successRate,
+        region: !server.region || !region ? 0.5 : server.region === region ? 1 : 0
+    };
+    const score = (Object.keys(SCORE_WEIGHTS) as (keyof typeof SCORE_WEIGHTS)[])
+        .reduce((sum, key) => sum + SCORE_WEIGHTS[key] * parts[key], 0) * (server.weight ?? 1);
+    return {
+        server,
+        score,
+        parts,
+        usable: stats.consecutiveFailures < DEMOTE_AFTER_FAILURES
+    };
+}
+
+/** Every server in State.servers, best first, failing ones last */
+export function rankServers(servers: Server[] = State.servers): ServerScore[] {
+    return servers
+        .map(server => scoreServer(server, servers))
+        .sort((a, b) => Number(b.usable) - Number(a.usable) || b.score - a.score);
+}
+
+/**
+ * Re-runs server selection without the given hosts: checks the remaining
+ * servers best-ranked first and returns the first one that passes, or null.
+ */
+export async function findFailoverServer(excludeHosts: Iterable<string>): Promise<Server | null> {
+    const excluded = new Set(excludeHosts);
+    for (const { server } of rankServers().filter(ranked => !excluded.has(ranked.server.hostname))) {
+        const result = await testSingleServer(server);
+        if (result.success) return server;
+    }
+    return null;
+}
+
+/** Subscribe to promotions/demotions of State.currentServer, returns an unsubscribe function */
+export function onServerHealthChange(listener: (event: ServerHealthEvent) => void): () => void {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function emit(event: ServerHealthEvent) {
+    for (const listener of listeners) listener(event);
+}
+
+function reschedule(server: Server, previous: ServerProbe | null, probe: ServerProbe) {
+    const schedule = schedules.get(server.hostname) ?? { interval: MIN_INTERVAL, nextProbeAt: 0 };
+    const changed = previous !== null && previous.success !== probe.success;
+    schedule.interval = changed ? MIN_INTERVAL : Math.min(schedule.interval * 2, MAX_INTERVAL);
+    const cap = server.hostname === State.currentServer.hostname ? CURRENT_MAX_INTERVAL : MAX_INTERVAL;
+    schedule.nextProbeAt = Date.now() + Math.min(schedule.interval, cap);
+    schedules.set(server.hostname, schedule);
+}
+
+function pickBestHealthy(exclude?: string): ServerScore | null {
+    return rankServers().find(ranked =>
+        ranked.server.hostname !== exclude && isServerHealthy(ranked.server)
+    ) ?? null;
+}
+
+function switchTo(server: Server) {
+    State.currentServer = server;
+    lastSwitchAt = Date.now();
+}
+
+function reviewCurrentServer() {
+    const current = State.currentServer;
+    const stats = getServerStats(current.hostname);
+    if (stats.consecutiveFailures >= DEMOTE_AFTER_FAILURES) {
+        const replacement = pickBestHealthy(current.hostname)?.server ?? null;
+        console.warn(`[serverHealth] ${current.name} failed ${stats.consecutiveFailures} checks in a row, switching to ${replacement?.name ?? "nothing (none healthy)"}`);
+        if (replacement) switchTo(replacement);
+        emit({ type: "demoted", from: current, to: replacement });
+        return;
+    }
+    if (Date.now() - lastSwitchAt < MIN_SWITCH_INTERVAL) return;
+    const best = pickBestHealthy(current.hostname);
+    const currentScore = scoreServer(current).score;
+    if (best && best.score > currentScore + SWITCH_MARGIN) {
+        console.log(`[serverHealth] Promoting ${best.server.name} (score ${best.score.toFixed(2)}) over ${current.name} (score ${currentScore.toFixed(2)}) for the next navigation`);
+        switchTo(best.server);
+        emit({ type: "promoted", from: current, to: best.server });
+    }
+}
+
+async function probeDueServers() {
+    timer = null;
+    if (!running) return;
+    if (document.visibilityState === "visible") {
+        const now = Date.now();
+        const due = State.servers.filter(server => (schedules.get(server.hostname)?.nextProbeAt ?? 0) <= now);
+        // One at a time, each check loads a hidden iframe
+        for (const server of due) {
+            if (!running) return;
+            const previous = getServerStats(server.hostname).lastProbe;
+            await testSingleServer(server);
+            const probe = getServerStats(server.hostname).lastProbe;
+            if (probe) reschedule(server, previous, probe);
+        }
+        if (due.length > 0) reviewCurrentServer();
+    }
+    scheduleNext();
+}
+
+function scheduleNext() {
+    if (!running || timer) return;
+    const next = Math.min(
+        ...State.servers.map(server => schedules.get(server.hostname)?.nextProbeAt ?? 0),
+        Date.now() + MAX_INTERVAL
+    );
+    timer = setTimeout(probeDueServers, Math.max(1000, next - Date.now()));
+}
+
+function onVisibilityChange() {
+    // Catch up on anything that came due while the tab was hidden
+    if (document.visibilityState === "visible" && timer) {
+        clearTimeout(timer);
+        timer = null;
+        scheduleNext();
+    }
+}
+
+/** Starts background probing; call once server discovery (findServer) is done */
+export function startServerMonitor() {
+    if (!browser || running) return;
+    running = true;
+    // Servers findServer() already checked wait out the short interval first
+    for (const server of State.servers) {
+        const lastProbe = getServerStats(server.hostname).lastProbe;
+        schedules.set(server.hostname, {
+            interval: MIN_INTERVAL,
+            nextProbeAt: lastProbe ? lastProbe.at + MIN_INTERVAL : Date.now()
+        });
+    }
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    scheduleNext();
+}
+
+export function stopServerMonitor() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+}
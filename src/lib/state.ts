@@ -3,6 +3,11 @@ import { CognitoIdentityClient } from "@aws-sdk/client-cognito-identity";
 import { fromCognitoIdentityPool, type CognitoIdentityCredentials } from "@aws-sdk/credential-provider-cognito-identity";
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import type { Game } from "./types/game.js";
+import type { PlayRecord } from "./playHistory.js";
+import { createPinnedCollection, type Collection } from "./types/collection.js";
+import { STATE_SCHEMA_VERSION, upgradeSavedState } from "./stateSchema.js";
+import { rankServers } from "./serverHealth.js";
+import { startTabCoordinator } from "./tabCoordinator.js";
 import { browser } from '$app/environment';
 import { S3Client } from "@aws-sdk/client-s3";
 import { detectAdBlockEnabled } from "./helpers.js";
@@ -10,38 +15,20 @@ import { page } from "$app/state";
 import { goto } from "$app/navigation";
 import type { User } from "oidc-client-ts";
 import { createModal } from "$lib/modal.js";
-import { signinRequest } from "$lib/authentication.js";
+import {
+    clearStoredTokens,
+    isExpired,
+    onTokensChanged,
+    readStoredTokens,
+    refreshSession,
+    SessionExpiredError,
+    signinRequest,
+    USER_POOL_PROVIDER,
+    startSessionManager,
+    type StoredTokens
+} from "$lib/authentication.js";
 
 
-interface Tokens {
-    idToken: string;
-    accessToken: string;
-    refreshToken: string;
-    expiresAt?: number; // epoch ms
-}
-const TOKEN_STORAGE_KEY = 'ccported_tokens';
-
-function readStoredTokens(): Tokens | null {
-    if (!browser) return null;
-    try {
-        const raw = localStorage.getItem(TOKEN_STORAGE_KEY);
-        if (!raw) return null;
-        return JSON.parse(raw);
-    } catch {
-        return null;
-    }
-}
-
-function clearStoredTokens() {
-    if (!browser) return;
-    try { localStorage.removeItem(TOKEN_STORAGE_KEY); } catch {}
-}
-
-function isExpired(expiresAt?: number, skewSec = 60): boolean {
-    if (!expiresAt) return true;
-    return Date.now() >= (expiresAt - skewSec * 1000);
-}
-
 function decodeJwt<T = any>(token?: string): T | null {
     if (!token) return null;
     try {
@@ -59,44 +46,112 @@ function decodeJwt<T = any>(token?: string): T | null {
         return null;
     }
 }
+export interface ServerProbe {
+    success: boolean;
+    time: number; // ms the check took
+    reason: string;
+    at: number; // epoch ms
+}
+// Probes kept per hostname in SessionState.serverHistory
+const SERVER_HISTORY_LENGTH = 20;
+// findServer trusts a passing check this recent instead of repeating it
+const SHARED_PROBE_MAX_AGE = 30 * 1000;
+
 export const SessionState = {
     awsReady: false,
     ssr: !browser,
     adBlockEnabled: false,
     adsEnabled: false,
     credentials: null as CognitoIdentityCredentials | null,
+    // Identity pool identity the clients below act as, and whether it's the
+    // signed-in user's (authenticated with their id token) rather than a guest
+    identityId: null as string | null,
+    awsAuthenticated: false,
     dynamoDBClient: null as DynamoDBClient | null,
     s3Client: null as S3Client | null,
     devMode: (browser && window.location.hostname === "localhost"),
     serverResponses: [] as { server: Server; success: boolean; time: number, reason: string }[],
+    // Rolling record of every probe this session, oldest first, per hostname
+    serverHistory: {} as Record<string, ServerProbe[]>,
     plays: 0,
     user: null as null | {
         profile?: any;
-        tokens?: Tokens;
+        tokens?: StoredTokens;
     },
     loggedIn: false
 }
 
 
-type StateType = {
+export type StateType = {
     servers: typeof Servers;
     aHosts: typeof AHosts;
     currentServer: Server;
     homeView: "grid" | "list";
-    pinnedGames: string[];
+    collections: Collection[];
     seenNotifications: string[];
     games: Game[];
     isAHost: () => boolean;
     localPlays: number;
+    activeTags: string[];
+    tagMatchMode: "and" | "or";
+    playHistory: Record<string, PlayRecord>;
+    // Games whose sandboxed storage is synced to the cloud (big_game_script.js)
+    storageSyncGames: string[];
 };
 
+export type PersistedStateKey = Exclude<keyof StateType, "servers" | "aHosts" | "games" | "isAHost">;
+
+// When each persisted field last changed on this device, so stateSync can
+// merge with other devices field by field
+const STATE_UPDATED_KEY = "ccported_state_updated";
+let stateUpdatedAt: Partial<Record<PersistedStateKey, number>> = {};
+// "sync": from another device (stateSync), "tab": from another tab (tabCoordinator)
+type StateChangeSource = "local" | "sync" | "tab";
+type StateListener = (key: PersistedStateKey, source: StateChangeSource) => void;
+const stateListeners = new Set<StateListener>();
+let applyingSource: Exclude<StateChangeSource, "local"> | null = null;
+
 function saveState() {
     // Skip on server-side rendering
     if (SessionState.ssr) return;
 
     // Things we don't want to save
     const { servers, aHosts, games, isAHost, ...serializable } = State;
-    localStorage.setItem("ccported_state", JSON.stringify(serializable));
+    localStorage.setItem("ccported_state", JSON.stringify({ schemaVersion: STATE_SCHEMA_VERSION, ...serializable }));
+    localStorage.setItem(STATE_UPDATED_KEY, JSON.stringify(stateUpdatedAt));
+}
+
+function isPersistedKey(key: string | symbol): key is PersistedStateKey {
+    return typeof key === "string" && !["servers", "aHosts", "games", "isAHost"].includes(key);
+}
+
+export function getStateUpdatedAt(): Partial<Record<PersistedStateKey, number>> {
+    return { ...stateUpdatedAt };
+}
+
+/**
+ * Calls `listener` whenever a persisted State field changes, with whether the
+ * change was made here or applied from another device or tab
+ */
+export function onStateChange(listener: StateListener): () => void {
+    stateListeners.add(listener);
+    return () => stateListeners.delete(listener);
+}
+
+/** Sets a field with the time it was changed on another device or tab */
+export function applyStateField<K extends PersistedStateKey>(
+    key: K,
+    value: StateType[K],
+    updatedAt: number,
+    source: Exclude<StateChangeSource, "local"> = "sync"
+) {
+    stateUpdatedAt[key] = updatedAt;
+    applyingSource = source;
+    try {
+        State[key] = value;
+    } finally {
+        applyingSource = null;
+    }
 }
 
 function createState(initial: StateType): StateType {
@@ -105,25 +160,87 @@ function createState(initial: StateType): StateType {
     return new Proxy(initial, {
         set(target, prop, value) {
             (target as any)[prop] = value;
+            if (!isPersistedKey(prop)) {
+                saveState();
+                return true;
+            }
+            if (!applyingSource) stateUpdatedAt[prop] = Date.now();
             saveState();
+            for (const listener of stateListeners) listener(prop, applyingSource ?? "local");
             return true;
         }
     });
 }
 
-export const State = createState({
-    servers: Servers,
-    aHosts: AHosts,
-    currentServer: Servers[0],
-    homeView: "grid",
-    pinnedGames: [],
-    games: [],
-    seenNotifications: [],
-    isAHost: () => (AHosts.some((h): boolean => browser && h.hostname === new URL(page.url).hostname)),
-    localPlays: 0
-});
+// Fresh objects every call, so a reset doesn't share them with State
+function defaultState(): StateType {
+    return {
+        servers: Servers,
+        aHosts: AHosts,
+        currentServer: Servers[0],
+        homeView: "grid",
+        collections: [createPinnedCollection()],
+        games: [],
+        seenNotifications: [],
+        isAHost: () => (AHosts.some((h): boolean => browser && h.hostname === new URL(page.url).hostname)),
+        localPlays: 0,
+        activeTags: [],
+        tagMatchMode: "and",
+        playHistory: {},
+        storageSyncGames: []
+    };
+}
+
+export const State = createState(defaultState());
+
+/** What `key` holds on a browser that has never saved State */
+export function defaultStateField<K extends PersistedStateKey>(key: K): StateType[K] {
+    return defaultState()[key];
+}
 
 
+// Derives the signed-in user from the id token claims; null signs out
+function applySessionTokens(tokens: StoredTokens | null) {
+    if (!tokens) {
+        SessionState.user = null;
+        SessionState.loggedIn = false;
+        return;
+    }
+    const profile = decodeJwt(tokens.idToken);
+    if (!SessionState.user) {
+        SessionState.user = {};
+    }
+    SessionState.user.tokens = tokens;
+    if (profile) {
+        SessionState.user.profile = profile as any;
+        SessionState.loggedIn = true;
+    }
+}
+
+function showSessionExpiredModal() {
+    // Inform the user and offer to log in again or continue without login
+    createModal({
+        title: 'Session expired',
+        content: 'Your session has expired and you have been signed out. You can log in again or continue without logging in.',
+        actions: [
+            {
+                label: 'Log in',
+                onClick: () => {
+                    // Attempt a fresh sign-in redirect
+                    try { signinRequest(new URL(window.location.href)); } catch {}
+                }
+            },
+            {
+                label: 'Continue without login',
+                onClick: (api) => {
+                    clearStoredTokens();
+                    api.close();
+                }
+            }
+        ]
+    });
+}
+
 export let toolingInitialized = false;
 export let initializingTooling = false;
 let serverSearchInProgress = false;
@@ -162,46 +279,30 @@ export async function initializeTooling() {
             window.history.replaceState(null, '', newUrl.toString());
         }
 
-        // Initialize auth state from persisted tokens (runs client-side only)
-        const storedTokens = readStoredTokens();
+        // Before findServer, so it can use the other tabs' server checks
+        startTabCoordinator();
+
+        // Initialize auth state from persisted tokens (runs client-side only).
+        // The session manager keeps them fresh from here on.
+        startSessionManager(showSessionExpiredModal);
+        onTokensChanged((tokens) => {
+            applySessionTokens(tokens);
+            // Before then initializeTooling builds them itself
+            if (toolingInitialized) rebuildAWSClients().catch((err) => console.error("[initializeTooling] Couldn't rebuild AWS clients:", err));
+        });
+        let storedTokens = readStoredTokens();
         if (storedTokens) {
             console.log("[initializeTooling] Found stored tokens.", storedTokens);
             if (isExpired(storedTokens.expiresAt)) {
-                // Tokens expired: inform the user and offer to log in again or continue without login
-                createModal({
-                    title: 'Session expired',
-                    content: 'Your session has expired and you have been signed out. You can log in again or continue without logging in.',
-                    actions: [
-                        {
-                            label: 'Log in',
-                            onClick: () => {
-                                // Attempt a fresh sign-in redirect
-                                try { signinRequest(new URL(window.location.href)); } catch {}
-                            }
-                        },
-                        {
-                            label: 'Continue without login',
-                            onClick: (api) => {
-                                clearStoredTokens();
-                                SessionState.user = null as any;
-                                SessionState.loggedIn = false;
-                                api.close();
-                            }
-                        }
-                    ]
+                // An expired refresh token shows the modal through the session manager
+                storedTokens = await refreshSession().catch((err) => {
+                    if (!(err instanceof SessionExpiredError)) {
+                        console.warn("[initializeTooling] Couldn't refresh the session yet:", err);
+                    }
+                    return null;
                 });
-            } else {
-                // Tokens valid: derive a user profile from the id token claims
-                const profile = decodeJwt(storedTokens.idToken);
-                if (!SessionState.user) {
-                    SessionState.user = {};
-                }
-                SessionState.user.tokens = storedTokens;
-                if (profile) {
-                    SessionState.user.profile = profile as any;
-                    SessionState.loggedIn = true;
-                }
             }
+            if (storedTokens) applySessionTokens(storedTokens);
         }
     }
 
@@ -240,21 +341,60 @@ export async function initializeTooling() {
         });
     }
 
-    const credentials = await initializeUnauthenticated();
-    const dynamoDBClient = new DynamoDBClient({
-        region: "us-west-2",
-        credentials
-    });
-    const s3Client = new S3Client({
-        region: "us-west-2",
-        credentials
-    });
-    SessionState.credentials = await credentials();
-    SessionState.awsReady = true;
-    SessionState.dynamoDBClient = dynamoDBClient;
-    SessionState.s3Client = s3Client;
+    await rebuildAWSClients();
     toolingInitialized = true;
 }
+
+let awsClientsBuild: Promise<void> | null = null;
+let awsClientsGeneration = 0;
+/**
+ * Points SessionState's clients at the signed-in user's identity pool
+ * credentials, or guest ones when nobody is signed in. Runs again on login,
+ * logout and token refresh.
+ */
+function rebuildAWSClients(): Promise<void> {
+    let idToken = SessionState.loggedIn ? SessionState.user?.tokens?.idToken : undefined;
+    const generation = ++awsClientsGeneration;
+    const build = (async () => {
+        let credentials = idToken ? initializeAuthenticated(idToken) : initializeUnauthenticated();
+        let resolved: CognitoIdentityCredentials;
+        try {
+            resolved = await credentials();
+        } catch (err) {
+            if (!idToken) throw err;
+            // Better a working guest session than none
+            console.warn("[rebuildAWSClients] Authenticated credentials failed, using guest credentials:", err);
+            credentials = initializeUnauthenticated();
+            resolved = await credentials();
+            idToken = undefined;
+        }
+        // A newer login/logout started while this one was resolving
+        if (generation !== awsClientsGeneration) return;
+        SessionState.credentials = resolved;
+        SessionState.identityId = resolved.identityId;
+        SessionState.awsAuthenticated = !!idToken;
+        SessionState.dynamoDBClient = new DynamoDBClient({ region: "us-west-2", credentials });
+        SessionState.s3Client = new S3Client({ region: "us-west-2", credentials });
+        SessionState.awsReady = true;
+        console.log(`[rebuildAWSClients] Using ${idToken ? "authenticated" : "guest"} identity ${resolved.identityId}`);
+    })();
+    awsClientsBuild = build;
+    return build;
+}
+
+/**
+ * The S3 client acting as the signed-in user, for objects under their own
+ * <sub>/ prefix. Waits for a credential rebuild that's under way.
+ */
+export async function getUserS3Client(): Promise<S3Client> {
+    let build: Promise<void> | null = null;
+    while (awsClientsBuild && awsClientsBuild !== build) {
+        build = awsClientsBuild;
+        await build.catch(() => {});
+    }
+    if (!SessionState.awsAuthenticated || !SessionState.s3Client) throw new Error("Not signed in to AWS");
+    return SessionState.s3Client;
+}
 export function waitForTooling(): Promise<void> {
     return new Promise((resolve) => {
         const checkInterval = setInterval(() => {
@@ -282,8 +422,23 @@ export function loadState(state: StateType): StateType {
     if (SessionState.ssr) return state;
     const savedState = localStorage.getItem("ccported_state");
     if (savedState) {
-        const parsedState = JSON.parse(savedState);
-        Object.assign(state, parsedState);
+        let parsedState: unknown = null;
+        try {
+            parsedState = JSON.parse(savedState);
+        } catch (err) {
+            console.warn("[loadState] Saved state is not valid JSON, using defaults:", err);
+        }
+        // Migrated and validated, invalid fields keep their defaults
+        try {
+            Object.assign(state, upgradeSavedState(parsedState));
+        } catch (err) {
+            console.warn("[loadState] Couldn't upgrade saved state, using defaults:", err);
+        }
+        try {
+            stateUpdatedAt = JSON.parse(localStorage.getItem(STATE_UPDATED_KEY) ?? "{}");
+        } catch {
+            stateUpdatedAt = {};
+        }
     }
     return state;
 }
@@ -332,7 +487,27 @@ async function* testServersWithYield(servers: Server[]): AsyncGenerator<Server,
     }
 }
 
-function updateServerResponse(server: Server, result: { success: boolean; time: number; reason: string }) {
+type ProbeListener = (server: Server, probe: ServerProbe) => void;
+const probeListeners = new Set<ProbeListener>();
+
+/** Calls `listener` with every server check this tab makes */
+export function onServerProbe(listener: ProbeListener): () => void {
+    probeListeners.add(listener);
+    return () => probeListeners.delete(listener);
+}
+
+/** Records a check made elsewhere (another tab), in order of when it was made */
+export function applyServerProbe(server: Server, probe: ServerProbe) {
+    const history = SessionState.serverHistory[server.hostname] ?? [];
+    if (history.some(p => p.at === probe.at)) return;
+    const { at, ...result } = probe;
+    if (at >= (history[history.length - 1]?.at ?? 0)) setServerResponse(server, result);
+    history.push(probe);
+    history.sort((a, b) => a.at - b.at);
+    SessionState.serverHistory[server.hostname] = history.slice(-SERVER_HISTORY_LENGTH);
+}
+
+function setServerResponse(server: Server, result: { success: boolean; time: number; reason: string }) {
     const response = { server, ...result };
     const index = SessionState.serverResponses.findIndex(r => r.server.hostname === server.hostname);
     if (index !== -1) {
@@ -342,6 +517,15 @@ function updateServerResponse(server: Server, result: { success: boolean; time:
     }
 }
 
+function updateServerResponse(server: Server, result: { success: boolean; time: number; reason: string }) {
+    setServerResponse(server, result);
+    const probe = { ...result, at: Date.now() };
+    const history = SessionState.serverHistory[server.hostname] ?? [];
+    history.push(probe);
+    SessionState.serverHistory[server.hostname] = history.slice(-SERVER_HISTORY_LENGTH);
+    for (const listener of probeListeners) listener(server, probe);
+}
+
 export async function testSingleServer(server: Server): Promise<{ success: boolean; time: number; reason: string }> {
     const start = performance.now();
     console.log(`[SERVERS][testSingleServer] Testing server ${server.name} (${server.hostname})...`);
@@ -478,6 +662,13 @@ export async function findServer(): Promise<Server | null> {
             return null;
         };
 
+        // Another tab may have just checked it, see tabCoordinator.ts
+        const shared = optimisticServer && SessionState.serverHistory[optimisticServer.hostname]?.at(-1);
+        if (optimisticServer && shared?.success && Date.now() - shared.at < SHARED_PROBE_MAX_AGE) {
+            console.log(`[STATE][findServer] ${optimisticServer.name} passed a check ${Math.round((Date.now() - shared.at) / 1000)}s ago, using it`);
+            return optimisticServer;
+        }
+
         // Try optimistic server first
         if (optimisticServer) {
             console.log(`[STATE][findServer] Using optimistic server: ${optimisticServer.name} with priority ${optimisticServer.priority}`);
@@ -490,7 +681,7 @@ export async function findServer(): Promise<Server | null> {
         }
 
         const sortedServers = servers.sort((a, b) => a.priority - b.priority);
-        const best = await findFirstAvailableServer(sortedServers);
+        const best = await findScoredServer(sortedServers);
         if (best) {
             State.currentServer = best;
             return best;
@@ -525,27 +716,10 @@ export async function findBestServer(): Promise<Server | null> {
 
     console.log("[STATE][findBestServer] Testing servers concurrently...");
 
-    // Test all servers concurrently, but prioritize results by priority
-    let bestServer: Server | null = null;
-    let bestPriority = Infinity;
-
-    for await (const server of testServersWithYield(sortedServers)) {
-        console.log(`[STATE][findBestServer] Server ${server.name} (${server.hostname}) is available with priority ${server.priority}`);
-
-        // Keep track of the best server found so far (lowest priority number)
-        if (server.priority < bestPriority) {
-            bestServer = server;
-            bestPriority = server.priority;
-            console.log(`[STATE][findBestServer] New best server: ${server.name} (priority ${server.priority})`);
-        }
-
-        // If we found a server with the highest possible priority (priority 1), 
-        // we can return immediately as no better server exists
-        if (server.priority === 1) {
-            console.log(`[STATE][findBestServer] Found highest priority server, stopping search early`);
-            break;
-        }
-    }
+    // Test all servers concurrently, then rank the ones that answered by score
+    // (priority, measured time, failure rate, region)
+    const available = await getAllAvailableServers(sortedServers);
+    const bestServer = rankServers(available)[0]?.server ?? null;
 
     console.log("[STATE][findBestServer] Best server found:", bestServer?.name || "none");
     return bestServer;
@@ -640,6 +814,30 @@ export async function findServerFastest(): Promise<Server | null> {
     return null;
 }
 
+// Waits for the first server to pass, gives the others `grace` ms to catch up,
+// then returns the best scored of those that passed. Slower checks keep running
+// and feed SessionState.serverHistory for the health monitor.
+export async function findScoredServer(servers: Server[], grace = 500): Promise<Server | null> {
+    const iterator = testServersWithYield(servers);
+    const found: Server[] = [];
+    let deadline: number | null = null;
+    while (true) {
+        const next = iterator.next();
+        const wait = deadline === null ? null : Math.max(0, deadline - Date.now());
+        const result = wait === null
+            ? await next
+            : await Promise.race([next, new Promise<null>(resolve => setTimeout(() => resolve(null), wait))]);
+        if (!result || result.done) break;
+        found.push(result.value);
+        deadline ??= Date.now() + grace;
+    }
+    const best = rankServers(found)[0];
+    if (best) {
+        console.log(`[STATE][findScoredServer] Picked ${best.server.name} (score ${best.score.toFixed(2)}) of ${found.length} available`);
+    }
+    return best?.server ?? null;
+}
+
 export async function findFirstAvailableServer(servers: Server[]): Promise<Server | null> {
     for await (const server of testServersWithYield(servers)) {
         console.log(`Found available server: ${server.hostname}`);
@@ -657,14 +855,19 @@ export async function getAllAvailableServers(servers: Server[]): Promise<Server[
     return availableServers;
 }
 
-async function initializeUnauthenticated() {
+export const IDENTITY_POOL_ID = "us-west-2:8ffe94a1-9042-4509-8e65-4efe16e61e3e";
 
-    const identityPoolId = "us-west-2:8ffe94a1-9042-4509-8e65-4efe16e61e3e";
-    const credentials = fromCognitoIdentityPool({
+function initializeUnauthenticated() {
+    return fromCognitoIdentityPool({
         client: new CognitoIdentityClient({ region: "us-west-2" }),
-        identityPoolId
+        identityPoolId: IDENTITY_POOL_ID
     });
+}
 
-    SessionState.awsReady = true;
-    return credentials;
+function initializeAuthenticated(idToken: string) {
+    return fromCognitoIdentityPool({
+        client: new CognitoIdentityClient({ region: "us-west-2" }),
+        identityPoolId: IDENTITY_POOL_ID,
+        logins: { [USER_POOL_PROVIDER]: idToken }
+    });
 }
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { STATE_SCHEMA_VERSION, upgradeSavedState } from "./stateSchema.js";
+import { PINNED_COLLECTION_ID } from "./types/collection.js";
+
+const server = {
+    name: "Main",
+    hostname: "ccported.click",
+    path: "/",
+    priority: 0,
+    protocol: "https"
+};
+
+describe("upgradeSavedState", () => {
+    // Invalid and outdated blobs warn about what they drop
+    beforeEach(() => {
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it("turns a version 0 blob's pinnedGames into the Pinned collection", () => {
+        const upgraded = upgradeSavedState({
+            pinnedGames: ["game_a", "game_b"],
+            homeView: "list",
+            playHistory: { game_a: { plays: 3, lastPlayed: 1000 } }
+        });
+        expect(upgraded.collections).toEqual([
+            { id: PINNED_COLLECTION_ID, name: "Pinned", gameIDs: ["game_a", "game_b"], createdAt: 0 }
+        ]);
+        expect(upgraded.homeView).toBe("list");
+        expect(upgraded.playHistory).toEqual({
+            game_a: { plays: 3, firstPlayed: 1000, lastPlayed: 1000, playTime: 0 }
+        });
+        expect(upgraded).not.toHaveProperty("pinnedGames");
+    });
+
+    it("gives version 1 play records firstPlayed and playTime", () => {
+        const collections = [{ id: PINNED_COLLECTION_ID, name: "Favourites", gameIDs: ["game_a"], createdAt: 0 }];
+        const upgraded = upgradeSavedState({
+            schemaVersion: 1,
+            collections,
+            playHistory: {
+                game_a: { plays: 1, lastPlayed: 2000 },
+                game_b: { plays: 2, firstPlayed: 500, lastPlayed: 3000, playTime: 60 }
+            }
+        });
+        expect(upgraded.collections).toEqual(collections);
+        expect(upgraded.playHistory).toEqual({
+            game_a: { plays: 1, firstPlayed: 2000, lastPlayed: 2000, playTime: 0 },
+            game_b: { plays: 2, firstPlayed: 500, lastPlayed: 3000, playTime: 60 }
+        });
+    });
+
+    it("keeps a current blob's valid fields as they are", () => {
+        const fields = {
+            currentServer: server,
+            seenNotifications: ["n1"],
+            localPlays: 4,
+            tagMatchMode: "or"
+        };
+        expect(upgradeSavedState({ schemaVersion: STATE_SCHEMA_VERSION, ...fields })).toEqual(fields);
+    });
+
+    it("leaves out fields of the wrong type so their defaults apply", () => {
+        const upgraded = upgradeSavedState({
+            schemaVersion: STATE_SCHEMA_VERSION,
+            homeView: "table",
+            localPlays: -1,
+            activeTags: ["racing", 3],
+            tagMatchMode: null,
+            seenNotifications: "n1",
+            storageSyncGames: ["game_a"],
+            playHistory: { game_a: { plays: "many", firstPlayed: 0, lastPlayed: 0, playTime: 0 } },
+            collections: [
+                { id: "c1", name: "A", gameIDs: [], createdAt: 1 },
+                { id: "c1", name: "B", gameIDs: [], createdAt: 2 }
+            ]
+        });
+        expect(upgraded).toEqual({ storageSyncGames: ["game_a"] });
+        expect(console.warn).toHaveBeenCalledTimes(7);
+    });
+
+    it("adds the Pinned collection when saved collections lack it", () => {
+        const upgraded = upgradeSavedState({
+            schemaVersion: STATE_SCHEMA_VERSION,
+            collections: [{ id: "c1", name: "Racing", gameIDs: ["game_a"], createdAt: 1 }]
+        });
+        expect(upgraded.collections?.map(c => c.id)).toEqual([PINNED_COLLECTION_ID, "c1"]);
+    });
+
+    it("drops a currentServer saved in an older server format", () => {
+        const stale = [
+            { name: "Old", hostname: "old.example", path: "/" },
+            { ...server, protocol: "ftp" },
+            { ...server, hostname: "" },
+            "ccported.click"
+        ];
+        for (const currentServer of stale) {
+            expect(upgradeSavedState({ schemaVersion: STATE_SCHEMA_VERSION, currentServer })).toEqual({});
+        }
+        expect(upgradeSavedState({ schemaVersion: STATE_SCHEMA_VERSION, currentServer: { ...server, weight: 2 } }))
+            .toEqual({ currentServer: { ...server, weight: 2 } });
+    });
+
+    it("ignores blobs from a newer schema", () => {
+        expect(upgradeSavedState({ schemaVersion: STATE_SCHEMA_VERSION + 1, homeView: "list" })).toEqual({});
+    });
+
+    it("ignores blobs whose schemaVersion isn't a non-negative integer", () => {
+        for (const schemaVersion of [1.5, -1, NaN, "2", null]) {
+            expect(upgradeSavedState({ schemaVersion, homeView: "list" })).toEqual({});
+        }
+    });
+
+    it("ignores anything that isn't an object", () => {
+        for (const raw of [null, "state", 42, ["homeView"]]) {
+            expect(upgradeSavedState(raw)).toEqual({});
+        }
+    });
+});
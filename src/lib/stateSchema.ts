@@ -0,0 +1,142 @@
+import type { PersistedStateKey, StateType } from "./state.js";
+import type { Server } from "./types/servers.js";
+import { createPinnedCollection, PINNED_COLLECTION_ID, type Collection } from "./types/collection.js";
+import type { PlayRecord } from "./playHistory.js";
+
+// Shape of localStorage["ccported_state"] over time. Blobs saved before the
+// schemaVersion field existed count as version 0. To change the shape, bump
+// STATE_SCHEMA_VERSION, append a migration that upgrades the previous version,
+// and update the validator of every field it touches.
+//   0 -> 1  pinnedGames becomes the default "Pinned" collection
+//   1 -> 2  playHistory records gain firstPlayed and playTime
+
+export const STATE_SCHEMA_VERSION = 2;
+
+type SavedState = Record<string, unknown>;
+type PersistedState = Pick<StateType, PersistedStateKey>;
+
+/** MIGRATIONS[n] upgrades a version n blob to version n + 1 */
+export const MIGRATIONS: ((saved: SavedState) => SavedState)[] = [
+    ({ pinnedGames, ...saved }) => ({
+        ...saved,
+        collections: Array.isArray(saved.collections)
+            ? saved.collections
+            : [createPinnedCollection(isStringArray(pinnedGames) ? pinnedGames : [])]
+    }),
+    saved => {
+        if (!isObject(saved.playHistory)) return saved;
+        const playHistory: Record<string, unknown> = {};
+        for (const [gameID, record] of Object.entries(saved.playHistory)) {
+            playHistory[gameID] = isObject(record)
+                ? { firstPlayed: record.lastPlayed, playTime: 0, ...record }
+                : record;
+        }
+        return { ...saved, playHistory };
+    }
+];
+
+function isObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isStringArray(value: unknown): value is string[] {
+    return Array.isArray(value) && value.every(v => typeof v === "string");
+}
+
+function isFiniteNumber(value: unknown): value is number {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+function isServer(value: unknown): value is Server {
+    return isObject(value) &&
+        typeof value.name === "string" &&
+        typeof value.hostname === "string" && value.hostname.length > 0 &&
+        typeof value.path === "string" &&
+        isFiniteNumber(value.priority) &&
+        (value.protocol === "http" || value.protocol === "https") &&
+        (value.region === undefined || typeof value.region === "string") &&
+        (value.weight === undefined || isFiniteNumber(value.weight)) &&
+        (value.capabilities === undefined || isStringArray(value.capabilities));
+}
+
+function isCollection(value: unknown): value is Collection {
+    return isObject(value) &&
+        typeof value.id === "string" &&
+        typeof value.name === "string" &&
+        isStringArray(value.gameIDs) &&
+        isFiniteNumber(value.createdAt);
+}
+
+function isPlayRecord(value: unknown): value is PlayRecord {
+    return isObject(value) &&
+        isFiniteNumber(value.plays) &&
+        isFiniteNumber(value.firstPlayed) &&
+        isFiniteNumber(value.lastPlayed) &&
+        isFiniteNumber(value.playTime);
+}
+
+const VALIDATORS: { [K in PersistedStateKey]: (value: unknown) => value is PersistedState[K] } = {
+    currentServer: isServer,
+    homeView: (value): value is "grid" | "list" => value === "grid" || value === "list",
+    collections: (value): value is Collection[] =>
+        Array.isArray(value) && value.every(isCollection) &&
+        new Set(value.map(c => c.id)).size === value.length,
+    seenNotifications: isStringArray,
+    localPlays: (value): value is number => isFiniteNumber(value) && value >= 0,
+    activeTags: isStringArray,
+    tagMatchMode: (value): value is "and" | "or" => value === "and" || value === "or",
+    playHistory: (value): value is Record<string, PlayRecord> =>
+        isObject(value) && Object.values(value).every(isPlayRecord),
+    storageSyncGames: isStringArray
+};
+
+export function isValidStateField<K extends PersistedStateKey>(key: K, value: unknown): value is PersistedState[K] {
+    return VALIDATORS[key](value);
+}
+
+/**
+ * Upgrades a saved blob to the current schema and keeps only the fields that
+ * validate; anything missing or invalid is left out so the caller's defaults
+ * apply. Unknown fields are dropped. Blobs from a newer schema than this
+ * build knows, or with a schemaVersion that isn't one, are ignored entirely.
+ */
+export function upgradeSavedState(raw: unknown): Partial<PersistedState> {
+    if (!isObject(raw)) return {};
+    const { schemaVersion, ...rest } = raw;
+    let version = schemaVersion === undefined ? 0 : schemaVersion;
+    if (typeof version !== "number" || !Number.isInteger(version) || version < 0) {
+        console.warn(`[stateSchema] Saved state has an invalid schemaVersion ${String(schemaVersion)}; using defaults`);
+        return {};
+    }
+    if (version > STATE_SCHEMA_VERSION) {
+        console.warn(`[stateSchema] Saved state is version ${version}, newer than ${STATE_SCHEMA_VERSION}; using defaults`);
+        return {};
+    }
+
+    let saved: SavedState = rest;
+    for (; version < STATE_SCHEMA_VERSION; version++) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            console.warn(`[stateSchema] No migration from version ${version}; using defaults`);
+            return {};
+        }
+        saved = migrate(saved);
+    }
+
+    const upgraded: Partial<Record<PersistedStateKey, unknown>> = {};
+    for (const key of Object.keys(VALIDATORS) as PersistedStateKey[]) {
+        if (!(key in saved)) continue;
+        if (isValidStateField(key, saved[key])) {
+            upgraded[key] = saved[key];
+        } else {
+            console.warn(`[stateSchema] Discarding invalid saved ${key}:`, saved[key]);
+        }
+    }
+
+    // The star button needs its collection
+    const collections = upgraded.collections as Collection[] | undefined;
+    if (collections && !collections.some(c => c.id === PINNED_COLLECTION_ID)) {
+        upgraded.collections = [createPinnedCollection(), ...collections];
+    }
+    return upgraded as Partial<PersistedState>;
+}
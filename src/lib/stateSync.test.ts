@@ -0,0 +1,154 @@
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import type { StoredTokens } from "./authentication.js";
+import { createPinnedCollection } from "./types/collection.js";
+
+// Just enough of state.js, authentication.js and S3 for stateSync to run
+const fake = vi.hoisted(() => ({
+    state: {} as Record<string, unknown>,
+    updatedAt: {} as Record<string, number>,
+    session: { loggedIn: false, user: null as { profile: { sub: string } } | null },
+    stateListeners: new Set<(key: string, source: string) => void>(),
+    tokenListeners: new Set<(tokens: unknown) => void>(),
+    signOutTasks: new Set<() => Promise<void>>(),
+    cloud: null as string | null,
+    failUploads: false
+}));
+
+function defaults(): Record<string, unknown> {
+    return {
+        collections: [createPinnedCollection()],
+        playHistory: {},
+        seenNotifications: [],
+        homeView: "grid",
+        activeTags: [],
+        tagMatchMode: "and",
+        localPlays: 0,
+        storageSyncGames: []
+    };
+}
+
+vi.mock("./state.js", () => ({
+    State: fake.state,
+    SessionState: fake.session,
+    getStateUpdatedAt: () => fake.updatedAt,
+    onStateChange: (listener: (key: string, source: string) => void) => {
+        fake.stateListeners.add(listener);
+        return () => fake.stateListeners.delete(listener);
+    },
+    applyStateField: (key: string, value: unknown, updatedAt: number) => {
+        fake.updatedAt[key] = updatedAt;
+        fake.state[key] = value;
+        for (const listener of fake.stateListeners) listener(key, "sync");
+    },
+    defaultStateField: (key: string) => defaults()[key],
+    getUserS3Client: async () => ({
+        send: async (command: { input: { Body?: string } }) => {
+            if (command instanceof PutObjectCommand) {
+                if (fake.failUploads) throw new Error("offline");
+                fake.cloud = command.input.Body as string;
+                return {};
+            }
+            if (fake.cloud === null) throw Object.assign(new Error("missing"), { name: "NoSuchKey" });
+            const body = fake.cloud;
+            return { Body: { transformToString: async () => body } };
+        }
+    })
+}));
+
+vi.mock("./authentication.js", () => ({
+    onTokensChanged: (listener: (tokens: StoredTokens | null) => void) => {
+        fake.tokenListeners.add(listener as (tokens: unknown) => void);
+        return () => fake.tokenListeners.delete(listener as (tokens: unknown) => void);
+    },
+    beforeSignOut: (task: () => Promise<void>) => {
+        fake.signOutTasks.add(task);
+        return () => fake.signOutTasks.delete(task);
+    }
+}));
+
+/** A change made in this tab, the way the State proxy reports it */
+function edit(key: string, value: unknown) {
+    fake.state[key] = value;
+    fake.updatedAt[key] = Date.now();
+    for (const listener of fake.stateListeners) listener(key, "local");
+}
+
+function clearTokens() {
+    fake.session.loggedIn = false;
+    fake.session.user = null;
+    for (const listener of fake.tokenListeners) listener(null);
+}
+
+// As authentication.signOut does before it leaves the page
+async function signOut() {
+    await Promise.allSettled([...fake.signOutTasks].map(task => task()));
+    clearTokens();
+}
+
+function cloudField(key: string): unknown {
+    return JSON.parse(fake.cloud ?? "{}").fields?.[key]?.value;
+}
+
+const racing = { id: "c1", name: "Racing", gameIDs: ["game_a"], createdAt: 1 };
+
+describe("stateSync on logout", () => {
+    let stateSync: typeof import("./stateSync.js");
+
+    beforeEach(async () => {
+        const storage = new Map<string, string>();
+        vi.stubGlobal("localStorage", {
+            getItem: (key: string) => storage.get(key) ?? null,
+            setItem: (key: string, value: string) => storage.set(key, value),
+            removeItem: (key: string) => storage.delete(key)
+        });
+        vi.stubGlobal("document", { visibilityState: "visible", addEventListener() {}, removeEventListener() {} });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+
+        for (const key of Object.keys(fake.state)) delete fake.state[key];
+        Object.assign(fake.state, defaults());
+        for (const key of Object.keys(fake.updatedAt)) delete fake.updatedAt[key];
+        fake.stateListeners.clear();
+        fake.tokenListeners.clear();
+        fake.signOutTasks.clear();
+        fake.cloud = null;
+        fake.failUploads = false;
+        fake.session.loggedIn = true;
+        fake.session.user = { profile: { sub: "user-1" } };
+
+        vi.resetModules();
+        stateSync = await import("./stateSync.js");
+        await stateSync.startStateSync();
+    });
+
+    afterEach(() => {
+        stateSync.stopStateSync();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it("pushes an edit made within PUSH_DELAY of logging out, then clears it locally", async () => {
+        edit("collections", [createPinnedCollection(["game_b"]), racing]);
+        await signOut();
+
+        expect(cloudField("collections")).toEqual([createPinnedCollection(["game_b"]), racing]);
+        expect(fake.state.collections).toEqual([createPinnedCollection()]);
+    });
+
+    it("keeps the edit on this device when it couldn't be pushed", async () => {
+        fake.failUploads = true;
+        edit("collections", [createPinnedCollection(), racing]);
+        await signOut();
+
+        expect(fake.state.collections).toEqual([createPinnedCollection(), racing]);
+        expect(JSON.parse(localStorage.getItem("ccported_state_sync") ?? "{}").loggedOutAt).toBeUndefined();
+    });
+
+    it("keeps local State when the session expires", async () => {
+        edit("homeView", "list");
+        clearTokens();
+
+        expect(fake.state.homeView).toBe("list");
+    });
+});
@@ -0,0 +1,335 @@
+import { GetObjectCommand, PutObjectCommand, type S3Client } from "@aws-sdk/client-s3";
+import { beforeSignOut, onTokensChanged } from "./authentication.js";
+import {
+    applyStateField,
+    defaultStateField,
+    getStateUpdatedAt,
+    getUserS3Client,
+    onStateChange,
+    SessionState,
+    State,
+    type PersistedStateKey,
+    type StateType
+} from "./state.js";
+import type { PlayRecord } from "./playHistory.js";
+import type { Collection } from "./types/collection.js";
+import { isValidStateField } from "./stateSchema.js";
+
+// Keeps the persisted part of State in step across a logged-in user's devices.
+// Each device stores { value, updatedAt } per field in
+// ccporteduserobjects/<sub>/ccported_state.json. On sync the newer side of each
+// field wins, unless both sides changed it since this device last synced; those
+// conflicts are merged field by field so offline edits on two devices survive.
+
+const BUCKET = "ccporteduserobjects";
+const OBJECT_NAME = "ccported_state.json";
+const SYNC_VERSION = 1;
+const SYNC_META_KEY = "ccported_state_sync";
+// Local changes are batched for this long before being pushed
+const PUSH_DELAY = 5 * 1000;
+
+// currentServer depends on the device's network, so it isn't synced
+const SYNCED_FIELDS = [
+    "collections",
+    "playHistory",
+    "seenNotifications",
+    "homeView",
+    "activeTags",
+    "tagMatchMode",
+    "localPlays",
+    "storageSyncGames"
+] as const satisfies readonly PersistedStateKey[];
+type SyncedField = typeof SYNCED_FIELDS[number];
+
+interface RemoteState {
+    version: number;
+    fields: Partial<Record<SyncedField, { value: unknown; updatedAt: number }>>;
+}
+
+interface SyncMeta {
+    sub: string;
+    lastSyncedAt: number;
+    // Collections as of the last sync, to tell removals apart from additions
+    collections?: Collection[];
+    // Set when the user logged out after a last push; every tab then clears
+    // the fields it had from before this time
+    loggedOutAt?: number;
+}
+
+type Merger<K extends SyncedField> = (
+    local: StateType[K],
+    remote: StateType[K],
+    localIsNewer: boolean,
+    base: StateType[K] | undefined
+) => StateType[K];
+
+// How to combine a field both devices changed since they last synced. `base`
+// is the field at the last sync when it's kept (see SyncMeta). Fields without
+// a merger fall back to last-writer-wins.
+const MERGERS: { [K in SyncedField]?: Merger<K> } = {
+    playHistory: (local, remote) => {
+        const merged: Record<string, PlayRecord> = { ...remote };
+        for (const [gameID, record] of Object.entries(local)) {
+            const other = merged[gameID];
+            merged[gameID] = other
+                ? {
+                    plays: Math.max(record.plays, other.plays),
+                    firstPlayed: Math.min(record.firstPlayed ?? Infinity, other.firstPlayed ?? Infinity),
+                    lastPlayed: Math.max(record.lastPlayed, other.lastPlayed),
+                    playTime: Math.max(record.playTime ?? 0, other.playTime ?? 0)
+                }
+                : record;
+        }
+        return merged;
+    },
+    collections: (local, remote, localIsNewer, base = []) => {
+        // Newer side decides names and order; collections and games added on
+        // either side are kept, and ones removed on either side since the last
+        // sync stay removed
+        const [newer, older] = localIsNewer ? [local, remote] : [remote, local];
+        const baseById = new Map(base.map(c => [c.id, c]));
+        const newerById = new Map(newer.map(c => [c.id, c]));
+        const olderById = new Map(older.map(c => [c.id, c]));
+        const merged: Collection[] = [];
+        for (const collection of [...newer, ...older.filter(c => !newerById.has(c.id))]) {
+            const before = baseById.get(collection.id);
+            const sides = [newerById.get(collection.id), olderById.get(collection.id)];
+            if (before && sides.some(side => !side)) continue;
+            const removed = new Set(before?.gameIDs.filter(id => sides.some(side => side && !side.gameIDs.includes(id))));
+            const gameIDs = sides.flatMap(side => side?.gameIDs ?? []).filter(id => !removed.has(id));
+            merged.push({ ...collection, gameIDs: [...new Set(gameIDs)] });
+        }
+        return merged;
+    },
+    seenNotifications: (local, remote) => [...new Set([...local, ...remote])],
+    localPlays: (local, remote) => Math.max(local, remote)
+};
+
+let pushTimeout: ReturnType<typeof setTimeout> | null = null;
+let syncing: Promise<void> | null = null;
+let stopListening: (() => void) | null = null;
+let watchingTokens = false;
+
+function getUser(): { sub: string } | null {
+    const sub = SessionState.user?.profile?.sub;
+    if (!SessionState.loggedIn || !sub) return null;
+    return { sub };
+}
+
+function readSyncMeta(sub: string): SyncMeta & { switchedAccount: boolean } {
+    try {
+        const meta = JSON.parse(localStorage.getItem(SYNC_META_KEY) ?? "null");
+        // The last account's fields were cleared at logout, what's left is a guest's
+        if (meta?.loggedOutAt) return { sub, lastSyncedAt: 0, switchedAccount: false };
+        if (meta && meta.sub === sub) {
+            const collections = isValidStateField("collections", meta.collections) ? meta.collections : undefined;
+            return { ...meta, collections, switchedAccount: false };
+        }
+        if (meta) return { sub, lastSyncedAt: 0, switchedAccount: true };
+    } catch {
+        // Fall through to a fresh start
+    }
+    return { sub, lastSyncedAt: 0, switchedAccount: false };
+}
+
+// Puts the synced fields back to a new browser's, dated before anything the
+// cloud copy holds so that copy wins the next sync. With `before`, fields
+// changed since then are kept.
+function resetSyncedFields(before = Infinity) {
+    const updatedAt = getStateUpdatedAt();
+    for (const field of SYNCED_FIELDS) {
+        if ((updatedAt[field] ?? 0) > before) continue;
+        applyStateField(field, defaultStateField(field), 0);
+    }
+}
+
+async function downloadRemote(client: S3Client, sub: string): Promise<RemoteState | null> {
+    try {
+        const response = await client.send(new GetObjectCommand({
+            Bucket: BUCKET,
+            Key: `${sub}/${OBJECT_NAME}`
+        }));
+        const body = await response.Body?.transformToString();
+        if (!body) return null;
+        const remote = JSON.parse(body) as RemoteState;
+        if (remote.version > SYNC_VERSION) {
+            throw new Error(`Remote state version ${remote.version} is newer than this client supports`);
+        }
+        return remote;
+    } catch (err) {
+        if ((err as { name?: string }).name === "NoSuchKey") return null;
+        throw err;
+    }
+}
+
+/**
+ * Merges this device's State with the copy stored for the logged-in user, then
+ * uploads the result. Does nothing when nobody is logged in.
+ */
+export async function syncState(): Promise<void> {
+    if (syncing) return syncing;
+    const user = getUser();
+    if (!user) return;
+    syncing = (async () => {
+        // Objects under <sub>/ are only writable with the user's own identity
+        const client = await getUserS3Client();
+        const meta = readSyncMeta(user.sub);
+        if (meta.switchedAccount) {
+            // Another account synced here last; none of its data goes into this one
+            console.log("[stateSync] Different account than the last sync, taking the cloud copy");
+            resetSyncedFields();
+        }
+        const remote = await downloadRemote(client, user.sub);
+        const localUpdatedAt = getStateUpdatedAt();
+        const upload: RemoteState = { version: SYNC_VERSION, fields: {} };
+        let changedRemote = remote === null;
+
+        for (const field of SYNCED_FIELDS) {
+            const localTime = localUpdatedAt[field] ?? 0;
+            let remoteField = remote?.fields[field];
+            if (remoteField && !isValidStateField(field, remoteField.value)) {
+                // Written by a broken or newer client, overwrite it with ours
+                console.warn(`[stateSync] Ignoring invalid remote ${field}:`, remoteField.value);
+                remoteField = undefined;
+            }
+            if (!remoteField || localTime > remoteField.updatedAt) {
+                const localChangedSinceSync = localTime > meta.lastSyncedAt;
+                if (remoteField && localChangedSinceSync && remoteField.updatedAt > meta.lastSyncedAt) {
+                    // Both devices edited this field while apart
+                    const merged = mergeField(field, State[field], remoteField.value as StateType[typeof field], true, meta);
+                    applyStateField(field, merged, localTime);
+                }
+                upload.fields[field] = { value: State[field], updatedAt: localTime };
+                changedRemote = true;
+            } else if (remoteField.updatedAt > localTime) {
+                let value = remoteField.value as StateType[typeof field];
+                let updatedAt = remoteField.updatedAt;
+                if (localTime > meta.lastSyncedAt && remoteField.updatedAt > meta.lastSyncedAt) {
+                    value = mergeField(field, State[field], value, false, meta);
+                    // The merge contains local edits the remote copy doesn't have yet
+                    updatedAt = Date.now();
+                    changedRemote = true;
+                }
+                applyStateField(field, value, updatedAt);
+                upload.fields[field] = { value, updatedAt };
+            } else {
+                upload.fields[field] = remoteField;
+            }
+        }
+
+        if (changedRemote) {
+            await client.send(new PutObjectCommand({
+                Bucket: BUCKET,
+                Key: `${user.sub}/${OBJECT_NAME}`,
+                Body: JSON.stringify(upload),
+                ContentType: "application/json"
+            }));
+        }
+        const synced: SyncMeta = { sub: user.sub, lastSyncedAt: Date.now(), collections: State.collections };
+        localStorage.setItem(SYNC_META_KEY, JSON.stringify(synced));
+        console.log(`[stateSync] Synced State for ${user.sub}${changedRemote ? " (uploaded)" : ""}`);
+    })().finally(() => {
+        syncing = null;
+    });
+    return syncing;
+}
+
+function mergeField<K extends SyncedField>(
+    field: K,
+    local: StateType[K],
+    remote: StateType[K],
+    localIsNewer: boolean,
+    meta: SyncMeta
+): StateType[K] {
+    const merger = MERGERS[field] as Merger<K> | undefined;
+    if (!merger) return localIsNewer ? local : remote;
+    const base = field === "collections" ? meta.collections as StateType[K] | undefined : undefined;
+    return merger(local, remote, localIsNewer, base);
+}
+
+function schedulePush() {
+    if (pushTimeout) clearTimeout(pushTimeout);
+    pushTimeout = setTimeout(() => {
+        pushTimeout = null;
+        syncState().catch(err => console.warn("[stateSync] Push failed:", err));
+    }, PUSH_DELAY);
+}
+
+/**
+ * Syncs now and then again shortly after every local change to a synced
+ * field, and when the tab is hidden with changes still pending.
+ */
+export async function startStateSync(): Promise<void> {
+    if (!watchingTokens) {
+        watchingTokens = true;
+        // Logging in or out here or in another tab
+        onTokensChanged(tokens => {
+            if (tokens) startStateSync();
+            else leaveAccount();
+        });
+        beforeSignOut(pushBeforeSignOut);
+    }
+    if (stopListening || !getUser()) return;
+    const unsubscribe = onStateChange((key, source) => {
+        if (source === "local" && (SYNCED_FIELDS as readonly string[]).includes(key)) schedulePush();
+    });
+    const onVisibilityChange = () => {
+        if (document.visibilityState === "hidden" && pushTimeout) {
+            clearTimeout(pushTimeout);
+            pushTimeout = null;
+            syncState().catch(err => console.warn("[stateSync] Push failed:", err));
+        }
+    };
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    stopListening = () => {
+        unsubscribe();
+        document.removeEventListener("visibilitychange", onVisibilityChange);
+    };
+    try {
+        await syncState();
+    } catch (err) {
+        console.warn("[stateSync] Initial sync failed:", err);
+    }
+}
+
+export function stopStateSync() {
+    stopListening?.();
+    stopListening = null;
+    if (pushTimeout) clearTimeout(pushTimeout);
+    pushTimeout = null;
+}
+
+// Uploads pending changes while the tokens still work. Only when that worked
+// is the logout marked for leaveAccount to clear the account's fields;
+// otherwise they stay on this device to be pushed on the next login.
+async function pushBeforeSignOut() {
+    if (!getUser()) return;
+    if (pushTimeout) clearTimeout(pushTimeout);
+    pushTimeout = null;
+    try {
+        // A sync already running may have started before the latest changes
+        await syncing?.catch(() => {});
+        await syncState();
+    } catch (err) {
+        console.warn("[stateSync] Couldn't push before logout, keeping this device's State:", err);
+        return;
+    }
+    const meta = JSON.parse(localStorage.getItem(SYNC_META_KEY) ?? "{}");
+    localStorage.setItem(SYNC_META_KEY, JSON.stringify({ ...meta, loggedOutAt: Date.now() }));
+}
+
+// After a logout the account's fields stay in the cloud only, so the next
+// person on this browser doesn't see or sync them. A session that expired
+// couldn't push, so its fields are kept.
+function leaveAccount() {
+    stopStateSync();
+    let loggedOutAt: unknown;
+    try {
+        loggedOutAt = JSON.parse(localStorage.getItem(SYNC_META_KEY) ?? "null")?.loggedOutAt;
+    } catch {
+        return;
+    }
+    if (typeof loggedOutAt !== "number") return;
+    resetSyncedFields(loggedOutAt);
+    console.log("[stateSync] Logged out, cleared synced State");
+}
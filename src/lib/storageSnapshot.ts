@@ -0,0 +1,312 @@
+// Snapshots of one game's sandboxed storage (the "[ns_<gameID>]_" localStorage
+// keys and IndexedDB databases, see createGameStorageSandbox in
+// big_game_script.js) for its cloud sync. big_game_script.js bundles this
+// file, so no imports. Values go through encodeValue so binary data, dates and
+// the like survive JSON.
+
+export const SNAPSHOT_VERSION = 1;
+
+export interface IndexSnapshot {
+    name: string;
+    keyPath: string | string[];
+    unique: boolean;
+    multiEntry: boolean;
+}
+
+export interface StoreSnapshot {
+    name: string;
+    keyPath: string | string[] | null;
+    autoIncrement: boolean;
+    indexes: IndexSnapshot[];
+    records: { key: unknown; value: unknown }[]; // encoded
+}
+
+export interface DatabaseSnapshot {
+    name: string; // without the namespace
+    version: number;
+    stores: StoreSnapshot[];
+}
+
+export interface StorageSnapshot {
+    version: number;
+    gameID: string;
+    savedAt: number;
+    hash: string;
+    localStorage: Record<string, string>;
+    indexedDB: DatabaseSnapshot[];
+}
+
+type Encoded = null | boolean | number | string | Encoded[] | { [key: string]: Encoded };
+
+const TAG = "$ccp";
+const TYPED_ARRAYS = {
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+};
+
+function toBase64(bytes: Uint8Array): string {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(data: string): Uint8Array<ArrayBuffer> {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/** Turns anything IndexedDB can store into JSON-safe data for decodeValue */
+export async function encodeValue(value: unknown): Promise<Encoded> {
+    if (value === undefined) return { [TAG]: "undefined" };
+    if (value === null || typeof value === "boolean" || typeof value === "string") return value;
+    if (typeof value === "number") {
+        return Number.isFinite(value) ? value : { [TAG]: "Number", value: String(value) };
+    }
+    if (typeof value === "bigint") return { [TAG]: "BigInt", value: value.toString() };
+    if (value instanceof Date) return { [TAG]: "Date", value: value.getTime() };
+    if (value instanceof ArrayBuffer) return { [TAG]: "ArrayBuffer", data: toBase64(new Uint8Array(value)) };
+    if (ArrayBuffer.isView(value)) {
+        const type = value instanceof DataView ? "DataView" : value.constructor.name;
+        return { [TAG]: type, data: toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+    }
+    if (value instanceof Blob) {
+        return {
+            [TAG]: value instanceof File ? "File" : "Blob",
+            type: value.type,
+            name: value instanceof File ? value.name : null,
+            data: toBase64(new Uint8Array(await value.arrayBuffer()))
+        };
+    }
+    if (value instanceof Map) {
+        const entries: Encoded[] = [];
+        for (const [k, v] of value) entries.push([await encodeValue(k), await encodeValue(v)]);
+        return { [TAG]: "Map", entries };
+    }
+    if (value instanceof Set) {
+        const values: Encoded[] = [];
+        for (const v of value) values.push(await encodeValue(v));
+        return { [TAG]: "Set", values };
+    }
+    if (Array.isArray(value)) {
+        const items: Encoded[] = [];
+        for (const item of value) items.push(await encodeValue(item));
+        return items;
+    }
+    const object: Record<string, Encoded> = {};
+    for (const [k, v] of Object.entries(value as object)) object[k] = await encodeValue(v);
+    // Keep a stored object that happens to have our tag from being decoded as one
+    return TAG in object ? { [TAG]: "Object", value: object } : object;
+}
+
+export function decodeValue(value: Encoded): unknown {
+    if (value === null || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(decodeValue);
+    const tag = value[TAG];
+    if (typeof tag !== "string") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]));
+    }
+    switch (tag) {
+        case "undefined": return undefined;
+        case "Number": return Number(value.value);
+        case "BigInt": return BigInt(value.value as string);
+        case "Date": return new Date(value.value as number);
+        case "ArrayBuffer": return fromBase64(value.data as string).buffer;
+        case "DataView": return new DataView(fromBase64(value.data as string).buffer);
+        case "Blob": return new Blob([fromBase64(value.data as string)], { type: value.type as string });
+        case "File": return new File([fromBase64(value.data as string)], value.name as string, { type: value.type as string });
+        case "Map": return new Map((value.entries as Encoded[][]).map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+        case "Set": return new Set((value.values as Encoded[]).map(decodeValue));
+        case "Object": {
+            const object = value.value as Record<string, Encoded>;
+            return Object.fromEntries(Object.entries(object).map(([k, v]) => [k, decodeValue(v)]));
+        }
+        default: {
+            const TypedArray = TYPED_ARRAYS[tag as keyof typeof TYPED_ARRAYS];
+            if (!TypedArray) throw new Error(`Unknown encoded type ${tag}`);
+            return new TypedArray(fromBase64(value.data as string).buffer);
+        }
+    }
+}
+
+// cyrb53: only used to notice changes, and crypto.subtle isn't available on
+// the http game servers
+function hashString(text: string): string {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase(idb: IDBFactory, name: string, onUpgrade?: (db: IDBDatabase) => void, version?: number): Promise<IDBDatabase> {
+    return new Promise((resolve, reject) => {
+        const request = version === undefined ? idb.open(name) : idb.open(name, version);
+        request.onupgradeneeded = () => onUpgrade?.(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`Opening ${name} is blocked by another connection`));
+    });
+}
+
+// Rejects instead of waiting for an open connection to close, which may never happen
+function deleteDatabase(idb: IDBFactory, name: string): Promise<void> {
+    return new Promise((resolve, reject) => {
+        const request = idb.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`Deleting ${name} is blocked by another connection`));
+    });
+}
+
+async function snapshotDatabase(idb: IDBFactory, fullName: string, name: string): Promise<DatabaseSnapshot> {
+    const db = await openDatabase(idb, fullName);
+    try {
+        const stores: StoreSnapshot[] = [];
+        for (const storeName of Array.from(db.objectStoreNames)) {
+            const store = db.transaction(storeName, "readonly").objectStore(storeName);
+            const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+            const records: StoreSnapshot["records"] = [];
+            for (let i = 0; i < keys.length; i++) {
+                records.push({ key: await encodeValue(keys[i]), value: await encodeValue(values[i]) });
+            }
+            stores.push({
+                name: storeName,
+                keyPath: store.keyPath,
+                autoIncrement: store.autoIncrement,
+                indexes: Array.from(store.indexNames).map(indexName => {
+                    const index = store.index(indexName);
+                    return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                }),
+                records
+            });
+        }
+        return { name, version: db.version, stores };
+    } finally {
+        db.close();
+    }
+}
+
+/** The localStorage keys under `namespace`, without it */
+export function copyLocalStorage(namespace: string, storage: Storage): Record<string, string> {
+    const prefix = `${namespace}_`;
+    const local: Record<string, string> = {};
+    const keys: string[] = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key?.startsWith(prefix)) keys.push(key);
+    }
+    for (const key of keys.sort()) local[key.slice(prefix.length)] = storage.getItem(key) as string;
+    return local;
+}
+
+/**
+ * Everything `namespace` (e.g. "[ns_game_x]") holds in the real, unproxied
+ * storage. `local` replaces the localStorage part, e.g. with a copy taken
+ * before the game started writing to it.
+ */
+export async function snapshotStorage(
+    gameID: string,
+    namespace: string,
+    storage: Storage,
+    idb: IDBFactory,
+    local: Record<string, string> = copyLocalStorage(namespace, storage)
+): Promise<StorageSnapshot> {
+    const prefix = `${namespace}_`;
+
+    const databases: DatabaseSnapshot[] = [];
+    const names = (await idb.databases())
+        .map(info => info.name)
+        .filter((name): name is string => !!name?.startsWith(prefix))
+        .sort();
+    for (const fullName of names) {
+        databases.push(await snapshotDatabase(idb, fullName, fullName.slice(prefix.length)));
+    }
+
+    const content = { localStorage: local, indexedDB: databases };
+    return { version: SNAPSHOT_VERSION, gameID, savedAt: Date.now(), hash: hashString(JSON.stringify(content)), ...content };
+}
+
+export function isEmptySnapshot(snapshot: Pick<StorageSnapshot, "localStorage" | "indexedDB">): boolean {
+    return Object.keys(snapshot.localStorage).length === 0 && snapshot.indexedDB.length === 0;
+}
+
+/** Replaces everything under `namespace` with the snapshot's contents */
+export async function restoreStorage(snapshot: StorageSnapshot, namespace: string, storage: Storage, idb: IDBFactory): Promise<void> {
+    const prefix = `${namespace}_`;
+    for (let i = storage.length - 1; i >= 0; i--) {
+        const key = storage.key(i);
+        if (key?.startsWith(prefix)) storage.removeItem(key);
+    }
+    for (const [key, value] of Object.entries(snapshot.localStorage)) storage.setItem(prefix + key, value);
+
+    for (const info of await idb.databases()) {
+        if (info.name?.startsWith(prefix)) await deleteDatabase(idb, info.name);
+    }
+    for (const database of snapshot.indexedDB) {
+        const db = await openDatabase(idb, prefix + database.name, db => {
+            for (const store of database.stores) {
+                const created = db.createObjectStore(store.name, { keyPath: store.keyPath, autoIncrement: store.autoIncrement });
+                for (const index of store.indexes) {
+                    created.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+                }
+            }
+        }, database.version);
+        try {
+            if (database.stores.length === 0) continue;
+            const tx = db.transaction(database.stores.map(s => s.name), "readwrite");
+            for (const store of database.stores) {
+                const objectStore = tx.objectStore(store.name);
+                for (const record of store.records) {
+                    const value = decodeValue(record.value as Encoded);
+                    // In-line keys come from the value itself
+                    if (store.keyPath === null) objectStore.put(value, decodeValue(record.key as Encoded) as IDBValidKey);
+                    else objectStore.put(value);
+                }
+            }
+            await new Promise<void>((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+}
+
+export type SyncDecision = "none" | "upload" | "download" | "conflict";
+
+/**
+ * What to do with this device's snapshot and the cloud's. `lastSyncedHash` is
+ * the hash both sides had at this device's last sync; a side that still has
+ * it hasn't changed since. When both changed it's a conflict for the player
+ * to settle.
+ */
+export function decideSync(
+    local: { hash: string; empty: boolean },
+    cloud: { hash: string } | null,
+    lastSyncedHash: string | null
+): SyncDecision {
+    if (!cloud) return local.empty ? "none" : "upload";
+    if (cloud.hash === local.hash) return "none";
+    // A device that never played this game just takes the cloud's progress
+    if (local.empty || local.hash === lastSyncedHash) return "download";
+    if (cloud.hash === lastSyncedHash) return "upload";
+    return "conflict";
+}
@@ -0,0 +1,148 @@
+import { browser } from "$app/environment";
+import {
+    applyServerProbe,
+    applyStateField,
+    getStateUpdatedAt,
+    onServerProbe,
+    onStateChange,
+    SessionState,
+    State,
+    type PersistedStateKey,
+    type ServerProbe,
+    type StateType
+} from "./state.js";
+import type { CNotification } from "./types/notification.js";
+import type { Server } from "./types/servers.js";
+
+// Keeps the site's open tabs in step over a BroadcastChannel:
+//  - every persisted State change (pins, current server, seen notifications...)
+//    is passed on, so the other tabs' State matches without a reload
+//  - every server check is shared, so tabs don't each probe the same servers
+//  - one tab is elected leader with the Web Locks API to run the background
+//    work only one tab needs to do: the server monitor and notification
+//    polling, whose results go to every tab. The lock is released when the
+//    leader closes and the next tab waiting for it takes over.
+// Without BroadcastChannel every tab keeps to itself and leads, as before.
+
+const CHANNEL_NAME = "ccported_tabs";
+const LEADER_LOCK = "ccported_leader";
+
+type TabMessage =
+    | { type: "state"; key: PersistedStateKey; value: unknown; updatedAt: number }
+    | { type: "probe"; server: Server; probe: ServerProbe }
+    // A new tab asking for the probes made so far
+    | { type: "hello" }
+    | { type: "probes"; probes: { server: Server; probe: ServerProbe }[] }
+    | { type: "notifications"; notifications: CNotification[] };
+
+let channel: BroadcastChannel | null = null;
+let started = false;
+let leader = false;
+const leaderListeners = new Set<() => void>();
+const notificationListeners = new Set<(notifications: CNotification[]) => void>();
+
+/**
+ * Runs `callback` once this tab is the leader, right away if it already is.
+ * A leader stays one until it closes.
+ */
+export function whenLeader(callback: () => void): () => void {
+    if (leader) {
+        callback();
+        return () => {};
+    }
+    leaderListeners.add(callback);
+    return () => leaderListeners.delete(callback);
+}
+
+function becomeLeader() {
+    if (leader) return;
+    leader = true;
+    console.log("[tabs] This tab is now the leader");
+    for (const listener of leaderListeners) listener();
+    leaderListeners.clear();
+}
+
+function post(message: TabMessage) {
+    try {
+        channel?.postMessage(message);
+    } catch (err) {
+        // Something in State that can't be cloned; the other tabs pick it up on reload
+        console.warn("[tabs] Couldn't share", message.type, err);
+    }
+}
+
+/** Hands notifications the leader fetched to the other tabs */
+export function shareNotifications(notifications: CNotification[]) {
+    post({ type: "notifications", notifications });
+}
+
+export function onSharedNotifications(listener: (notifications: CNotification[]) => void): () => void {
+    notificationListeners.add(listener);
+    return () => notificationListeners.delete(listener);
+}
+
+function sharedProbes(): { server: Server; probe: ServerProbe }[] {
+    return SessionState.serverResponses.flatMap(({ server }) =>
+        (SessionState.serverHistory[server.hostname] ?? []).map(probe => ({ server, probe }))
+    );
+}
+
+function onMessage(message: TabMessage) {
+    switch (message.type) {
+        case "state": {
+            // Ignore a change older than what this tab has
+            if ((getStateUpdatedAt()[message.key] ?? 0) > message.updatedAt) return;
+            applyStateField(message.key, message.value as StateType[typeof message.key], message.updatedAt, "tab");
+            break;
+        }
+        case "probe":
+            applyServerProbe(message.server, message.probe);
+            break;
+        case "hello":
+            if (leader) post({ type: "probes", probes: sharedProbes() });
+            break;
+        case "probes":
+            for (const { server, probe } of message.probes) applyServerProbe(server, probe);
+            break;
+        case "notifications":
+            for (const listener of notificationListeners) listener(message.notifications);
+            break;
+    }
+}
+
+function electLeader() {
+    if (!("locks" in navigator)) {
+        becomeLeader();
+        return;
+    }
+    // Held until the tab closes: the callback's promise never settles
+    navigator.locks.request(LEADER_LOCK, () => {
+        becomeLeader();
+        return new Promise<void>(() => {});
+    }).catch(err => {
+        console.warn("[tabs] Leader election failed, leading anyway:", err);
+        becomeLeader();
+    });
+}
+
+/** Joins the other open tabs; initializeTooling calls this */
+export function startTabCoordinator() {
+    if (started || !browser) return;
+    started = true;
+    if (!("BroadcastChannel" in window)) {
+        becomeLeader();
+        return;
+    }
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event: MessageEvent<TabMessage>) => onMessage(event.data);
+
+    // Changes that came from another tab were already shared by that tab
+    onStateChange((key, source) => {
+        if (source === "tab") return;
+        post({ type: "state", key, value: State[key], updatedAt: getStateUpdatedAt()[key] ?? Date.now() });
+    });
+    onServerProbe((server, probe) => post({ type: "probe", server, probe }));
+
+    post({ type: "hello" });
+    electLeader();
+}
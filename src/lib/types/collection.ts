@@ -0,0 +1,19 @@
+export interface Collection {
+    id: string;
+    name: string;
+    gameIDs: string[]; // most recently added first
+    createdAt: number;
+}
+
+// The star button on game cards adds to this collection. It always exists and
+// can be renamed but not deleted.
+export const PINNED_COLLECTION_ID = "pinned";
+
+export function createPinnedCollection(gameIDs: string[] = []): Collection {
+    return {
+        id: PINNED_COLLECTION_ID,
+        name: "Pinned",
+        gameIDs,
+        createdAt: 0
+    };
+}
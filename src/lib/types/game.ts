@@ -1,3 +1,5 @@
+import type { LeaderboardBoard } from "./leaderboard.js";
+
 export interface Game {
     gameID: string;
     thumbPath: string;
@@ -7,7 +9,7 @@ export interface Game {
     clicks: number;
     uploadedTimestamp: number;
     updatedTimestamp: number;
-
+    leaderboards?: LeaderboardBoard[]; // unset: just DEFAULT_BOARD
 }
 
 export interface ROM {
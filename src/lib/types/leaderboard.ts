@@ -0,0 +1,72 @@
+// Leaderboard layout in the "leaderboard" DynamoDB table, shared by the play
+// page and big_game_script.js (which bundles this file, so no imports).
+//
+// Each board and time window is its own partition of the gameID-score-index,
+// keyed by its gameID attribute:
+//   <gameID>                        default board, all time (the original board)
+//   <gameID>#<board>                any other board, all time
+//   <gameID>#<board>#d2025-01-31    one UTC day
+//   <gameID>#<board>#w2025-W05      one ISO week
+// Every item holds a user's best score in that partition, so a new score is
+// written to the all-time, day and week partitions it improves. Only the score
+// API in server/scores writes them, after checking the board's rules.
+
+export type LeaderboardWindow = "all" | "week" | "day";
+
+export interface LeaderboardBoard {
+    id: string;
+    name: string;
+    // "desc": higher is better (points), "asc": lower is better (times)
+    order: "asc" | "desc";
+    format: "number" | "time"; // time scores are milliseconds
+    rules?: LeaderboardRules;
+}
+
+// What the score API (server/scores) accepts for a board; unset fields use its
+// defaults in server/scores/rules.js
+export interface LeaderboardRules {
+    minScore?: number;
+    maxScore?: number;
+    minSessionSeconds?: number;
+    maxSessionHours?: number;
+    maxScorePerSecond?: number;
+    maxSubmissionsPerMinute?: number;
+}
+
+export const DEFAULT_BOARD: LeaderboardBoard = {
+    id: "score",
+    name: "High score",
+    order: "desc",
+    format: "number"
+};
+
+export const LEADERBOARD_WINDOWS: { id: LeaderboardWindow; name: string }[] = [
+    { id: "all", name: "All time" },
+    { id: "week", name: "This week" },
+    { id: "day", name: "Today" }
+];
+
+function pad(n: number): string {
+    return String(n).padStart(2, "0");
+}
+
+/** ISO 8601 week of `date` in UTC, e.g. "2025-W05" */
+export function isoWeek(date: Date): string {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    // The Thursday of this week decides the year
+    day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${pad(week)}`;
+}
+
+/** Value of the gameID attribute for a board and window at `date` */
+export function leaderboardPartition(gameID: string, boardID: string, window: LeaderboardWindow, date = new Date()): string {
+    if (window === "all") {
+        return boardID === DEFAULT_BOARD.id ? gameID : `${gameID}#${boardID}`;
+    }
+    const period = window === "day"
+        ? `d${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+        : `w${isoWeek(date)}`;
+    return `${gameID}#${boardID}#${period}`;
+}
@@ -0,0 +1,61 @@
+// Cloud save layout in the ccporteduserobjects bucket, shared by the play
+// page's save manager and big_game_script.js (which bundles this file, so no
+// imports). Every save is a new object:
+//   <sub>/saves/<gameID>/<slot>/<savedAt>.sav
+// so a slot's objects are its versions. Only the newest MAX_SAVE_VERSIONS are
+// kept, and all of a user's saves together have to fit in SAVE_QUOTA_BYTES.
+
+export const MAX_SAVE_VERSIONS = 5;
+export const SAVE_QUOTA_BYTES = 50 * 1024 * 1024;
+export const DEFAULT_SLOT = "default";
+
+export interface SaveVersion {
+    key: string;
+    savedAt: number;
+    size: number;
+}
+
+export interface SaveSlot {
+    slot: string;
+    versions: SaveVersion[]; // newest first
+}
+
+export interface SaveQuota {
+    used: number;
+    limit: number;
+}
+
+const SLOT_PATTERN = /^[\w-][\w -]{0,63}$/;
+
+export function isValidSlotName(slot: string): boolean {
+    return SLOT_PATTERN.test(slot);
+}
+
+/** Prefix of every save a user has, or of one game's saves */
+export function savesPrefix(sub: string, gameID?: string): string {
+    return gameID ? `${sub}/saves/${gameID}/` : `${sub}/saves/`;
+}
+
+export function saveVersionKey(sub: string, gameID: string, slot: string, savedAt: number): string {
+    return `${savesPrefix(sub, gameID)}${slot}/${savedAt}.sav`;
+}
+
+/** Groups a listing of savesPrefix(sub, gameID) into slots, most recently saved first */
+export function groupSaveObjects(objects: { Key?: string; Size?: number }[], prefix: string): SaveSlot[] {
+    const slots = new Map<string, SaveVersion[]>();
+    for (const object of objects) {
+        const match = object.Key?.startsWith(prefix) && /^([^/]+)\/(\d+)\.sav$/.exec(object.Key.slice(prefix.length));
+        if (!match) continue;
+        const versions = slots.get(match[1]) ?? [];
+        versions.push({ key: object.Key as string, savedAt: Number(match[2]), size: object.Size ?? 0 });
+        slots.set(match[1], versions);
+    }
+    return [...slots.entries()]
+        .map(([slot, versions]) => ({ slot, versions: versions.sort((a, b) => b.savedAt - a.savedAt) }))
+        .sort((a, b) => b.versions[0].savedAt - a.versions[0].savedAt);
+}
+
+/** Versions past the newest MAX_SAVE_VERSIONS, which should be deleted */
+export function versionsToPrune(slot: SaveSlot): SaveVersion[] {
+    return slot.versions.slice(MAX_SAVE_VERSIONS);
+}
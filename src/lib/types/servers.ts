@@ -12,6 +12,115 @@ export interface Server {
     path: string;
     priority: number;
     protocol: "http" | "https";
+    region?: string; // e.g. "na", "eu", unset for global CDNs
+    weight?: number; // multiplies the server's health score, 1 when unset
+    capabilities?: string[]; // e.g. "roms", "range-requests"
+}
+
+// servers.txt comes in three shapes, all parsed by parseServerList():
+//
+//  v1, one server per line, priority is the line order, always https:
+//      ccgstatic.com,Charlie,/games/
+//
+//  v2 CSV, the first line that isn't a comment is a header naming the columns.
+//  Only hostname, name and path are required; unknown columns are ignored.
+//  capabilities are separated by "|", enabled is true unless false/no/0:
+//      hostname,name,path,protocol,priority,weight,region,capabilities,enabled
+//      ccgstatic.com,Charlie,/games/,https,1,1,,roms|range-requests,true
+//
+//  v2 JSON, an object with a version and the same fields per server:
+//      { "version": 2, "servers": [{ "hostname": "ccgstatic.com", ... }] }
+//
+// Disabled servers are left out. static/sw.js reads the same file for its
+// allowed domains, keep its parser in step with this one.
+// The shipped static/servers.txt stays v1 while clients from before v2 may
+// still load it: they would take a v2 header row for a server called "name".
+export const SERVER_LIST_VERSION = 2;
+
+export function parseServerList(text: string): Server[] {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{")) {
+        return parseServerListJSON(trimmed);
+    }
+    const lines = trimmed.split('\n').map(l => l.trim()).filter(l => l.length > 0 && !l.startsWith("#"));
+    if (lines.length === 0) return [];
+    const header = lines[0].split(',').map(p => p.trim().toLowerCase());
+    if (!header.includes("hostname")) {
+        return parseServerListV1(lines);
+    }
+    const rows = lines.slice(1).map(line => {
+        const parts = line.split(',').map(p => p.trim());
+        const row: Record<string, string> = {};
+        header.forEach((column, i) => {
+            if (parts[i]) row[column] = parts[i];
+        });
+        return row;
+    });
+    return rows
+        .map((row, i) => toServer({
+            ...row,
+            capabilities: row.capabilities?.split('|').map(c => c.trim()).filter(c => c.length > 0),
+            enabled: row.enabled === undefined ? true : !["false", "no", "0"].includes(row.enabled.toLowerCase())
+        }, i + 1))
+        .filter(s => s !== null);
+}
+
+function parseServerListV1(lines: string[]): Server[] {
+    return lines.map((line, i) => {
+        const parts = line.split(',').map(p => p.trim());
+        if (parts.length < 3) return null;
+        return toServer({ hostname: parts[0], name: parts[1], path: parts[2] }, i + 1);
+    }).filter(s => s !== null);
+}
+
+function parseServerListJSON(text: string): Server[] {
+    let data: { version?: unknown; servers?: unknown };
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        console.warn("[servers] servers.txt isn't valid JSON:", err);
+        return [];
+    }
+    if (typeof data.version === "number" && data.version > SERVER_LIST_VERSION) {
+        console.warn(`[servers] servers.txt is version ${data.version}, newer than ${SERVER_LIST_VERSION}; reading the fields this build knows`);
+    }
+    if (!Array.isArray(data.servers)) return [];
+    return data.servers
+        .map((entry, i) => typeof entry === "object" && entry !== null ? toServer(entry, i + 1) : null)
+        .filter(s => s !== null);
+}
+
+// Builds a Server from one entry of any format; values arrive as strings from
+// CSV and as whatever JSON holds, so each is checked and converted here.
+function toServer(entry: Record<string, unknown>, position: number): Server | null {
+    const { hostname, name, path, protocol, priority, weight, region, capabilities, enabled } = entry;
+    if (enabled === false) return null;
+    if (typeof hostname !== "string" || !hostname || typeof name !== "string" || typeof path !== "string") {
+        return null;
+    }
+    const server: Server = {
+        name,
+        hostname,
+        path,
+        priority: toNumber(priority) ?? position,
+        protocol: protocol === "http" ? "http" : "https"
+    };
+    const serverWeight = toNumber(weight);
+    if (serverWeight !== null && serverWeight >= 0) server.weight = serverWeight;
+    if (typeof region === "string" && region) server.region = region.toLowerCase();
+    if (Array.isArray(capabilities)) {
+        server.capabilities = capabilities.filter((c): c is string => typeof c === "string");
+    }
+    return server;
+}
+
+function toNumber(value: unknown): number | null {
+    const number = typeof value === "string" && value !== "" ? Number(value) : value;
+    return typeof number === "number" && Number.isFinite(number) ? number : null;
+}
+
+export function hasCapability(server: Server, capability: string): boolean {
+    return server.capabilities?.includes(capability) ?? false;
 }
 
 
@@ -126,20 +235,7 @@ export const findServers = async (): Promise<Server[] | null> => {
         // Parse local servers.txt (HTTPS)
         if (localRes && localRes.ok) {
             const text = await localRes.text();
-            const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-            const localServers: Server[] = lines.map((line, i) => {
-                if (line.startsWith("#")) return null;
-                const parts = line.split(',').map(p => p.trim());
-                if (parts.length < 3) return null;
-                return {
-                    name: parts[1],
-                    hostname: parts[0],
-                    path: parts[2],
-                    priority: i + 1,
-                    protocol: "https"
-                };
-            }).filter(s => s !== null) as Server[];
-            servers = servers.concat(localServers);
+            servers = servers.concat(parseServerList(text));
         }
 
         // Parse proxy servers.txt (HTTP)
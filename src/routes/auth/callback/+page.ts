@@ -3,14 +3,12 @@ import { redirect } from '@sveltejs/kit';
 export const ssr = false;
 export const csr = true;
 
-import { createUserManager } from '$lib/authentication.js';
+import { createUserManager, storeSessionTokens, type StoredTokens as SessionTokens } from '$lib/authentication.js';
 import { SessionState } from '$lib/state.js';
 import { create } from 'domain';
 import { page } from '$app/state';
 import { UserManager } from 'oidc-client-ts';
 
-const TOKEN_STORAGE_KEY = 'ccported_tokens';
-
 type StoredTokens = {
 	accessToken?: string;
 	idToken?: string;
@@ -33,12 +31,8 @@ export async function load() {
 			expiresAt: user?.expires_at ? user.expires_at * 1000 : undefined
 		};
 
-		// Persist tokens for initializeTooling to read later
-		try {
-			localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
-		} catch (e) {
-			console.warn('[auth/callback] Failed to store tokens', e);
-		}
+		// Persist tokens for initializeTooling to read later; open tabs sign in too
+		storeSessionTokens(tokens as SessionTokens);
 
 		// Stash profile in SessionState for immediate use this navigation cycle
 		if (user?.profile) {
@@ -55,7 +49,7 @@ export async function load() {
 				refreshToken: (user as any)?.refresh_token,
 				expiresAt: user?.expires_at ? user.expires_at * 1000 : undefined
 			};
-			localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+			storeSessionTokens(tokens as SessionTokens);
 			if (user?.profile) {
 				SessionState.user = user.profile as any;
 				SessionState.loggedIn = true;
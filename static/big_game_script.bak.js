@@ -1,3 +1,18 @@
+// Source of big_game_script.js. Rebuild after editing with:
+//   npx esbuild static/big_game_script.bak.js --bundle --minify --format=iife --outfile=static/big_game_script.js
+import { createBridge } from "../src/lib/gameBridge.ts";
+import { DEFAULT_BOARD, leaderboardPartition } from "../src/lib/types/leaderboard.ts";
+import {
+    DEFAULT_SLOT,
+    SAVE_QUOTA_BYTES,
+    groupSaveObjects,
+    isValidSlotName,
+    saveVersionKey,
+    savesPrefix,
+    versionsToPrune
+} from "../src/lib/types/saves.ts";
+import { copyLocalStorage, decideSync, isEmptySnapshot, restoreStorage, snapshotStorage } from "../src/lib/storageSnapshot.ts";
+
 window.ccPorted = window.ccPorted || {};
 
 (() => {
@@ -6,10 +21,49 @@ window.ccPorted = window.ccPorted || {};
     const REDIRECT_URI = `${window.location.origin}`;
     const tGameID = treat(window.gameID || window.ccPorted.gameID);
     const framed = pageInFrame();
+    // The real storage, before createGameStorageSandbox swaps in its proxies
+    const rawLocalStorage = window.localStorage;
+    const rawIndexedDB = window.indexedDB;
     const gameIDExtractRG = /\/(game_\w+)\//;
     const gameIDExtract = gameIDExtractRG.exec(window.location.pathname);
     const parentOrigin = (framed && document.location.ancestorOrigins.length > 0) ? new URL(document.location.ancestorOrigins[0]).origin : null;
     const gameID = (typeof window.ccPorted.gameID != "undefined" && window.ccPorted.gameID != "undefined") ? window.ccPorted.gameID : false || window.gameID || ((gameIDExtract) ? gameIDExtract[1] : "Unknown Game");
+    // Typed channel to the play page hosting this game, see src/lib/gameBridge.ts.
+    // Without ancestorOrigins (Firefox) the parent's origin is unknown, so only
+    // the parent window itself is trusted.
+    const bridge = framed ? createBridge({
+        tag: `[${gameID}][bridge]`,
+        peer: () => window.parent,
+        peerOrigin: () => parentOrigin || '*',
+        acceptOrigin: origin => !parentOrigin || origin === parentOrigin,
+        handlers: {
+            clearCache: clearCache,
+            cacheStatus: async () => {
+                const registration = await navigator.serviceWorker?.getRegistration();
+                // We don't have an easy way to measure cache size
+                return { active: !!registration?.active, size: null };
+            }
+        }
+    }) : null;
+    if (bridge) {
+        bridge.on('tokens', tokens => {
+            if (!tokens) {
+                signOut();
+                return;
+            }
+            storeTokens(tokens);
+            // The play page refreshed the session: move the AWS credentials to the new id token
+            const logins = window.ccPorted.AWS?.config.credentials?.params?.Logins;
+            const provider = "cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n";
+            if (logins && logins[provider] && logins[provider] !== tokens.idToken) {
+                logins[provider] = tokens.idToken;
+                refreshAWSCredentials().catch(error => console.error("Couldn't refresh AWS credentials:", error));
+            }
+        });
+        bridge.handshake().catch(error => {
+            console.log('Play page did not answer hello, it may predate the bridge:', error.message);
+        });
+    }
     // Register service worker immediately
     if ('serviceWorker' in navigator) {
         window.addEventListener('load', () => {
@@ -18,18 +72,8 @@ window.ccPorted = window.ccPorted || {};
                 .then(registration => {
                     console.log('Game service worker registered:', registration);
 
-                    // Detect if this game is running in an iframe
-                    const isInIframe = window !== window.top;
-                    if (isInIframe) {
-                        // Notify parent frame that we support caching
-                        window.parent.postMessage({
-                            action: 'CACHE_ENABLED',
-                            gameId: gameID
-                        }, '*');
-
-                        // Setup communication channel with parent frame
-                        setupCacheControl();
-                    }
+                    // Tell the play page we support caching
+                    bridge?.emit('cacheEnabled', null);
                 })
                 .catch(error => {
                     console.error('Service worker registration failed:', error);
@@ -38,54 +82,145 @@ window.ccPorted = window.ccPorted || {};
     } else {
         console.warn('Service workers are not supported in this browser.');
     }
-    // Setup communication with the parent frame for cache control
-    function setupCacheControl() {
-        window.addEventListener('message', event => {
-            // Verify the origin
-            if (event.origin !== parentOrigin) return;
-            if (!event.data || !event.data.action) return;
-            // Only handle cache-control requests
-            if (event.data.type !== 'CACHE_CONTROL') return;
-            switch (event.data.action) {
-                case 'CLEAR_CACHE':
-                    // Clear the cache through the service worker
-                    if (navigator.serviceWorker.controller) {
-                        const messageChannel = new MessageChannel();
-                        messageChannel.port1.onmessage = event => {
-                            console.log('Cache cleared:', event.data);
-                        };
-
-                        navigator.serviceWorker.controller.postMessage({
-                            action: 'CLEAR_CACHE'
-                        }, [messageChannel.port2]);
-                    }
-                    break;
-
-                case 'CACHE_STATUS':
-                    // Report cache status back to parent
-                    navigator.serviceWorker.getRegistration().then(registration => {
-                        event.source.postMessage({
-                            action: 'CACHE_STATUS_RESPONSE',
-                            active: !!registration?.active,
-                            size: null // We don't have an easy way to measure cache size
-                        }, event.origin);
-                    });
-                    break;
+    function clearCache() {
+        // Clear the cache through the service worker
+        if (!navigator.serviceWorker?.controller) return null;
+        const messageChannel = new MessageChannel();
+        messageChannel.port1.onmessage = event => {
+            console.log('Cache cleared:', event.data);
+        };
+        navigator.serviceWorker.controller.postMessage({
+            action: 'CLEAR_CACHE'
+        }, [messageChannel.port2]);
+        return null;
+    }
+    // Lets /play tell a dead server from a broken game: it's told once the game
+    // page has loaded, and about every asset from this server that fails to
+    function isOwnAsset(url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch {
+            return false;
+        }
+    }
+    if (bridge) {
+        window.addEventListener('load', () => bridge.emit('gameLoaded', null));
+        // Resource errors don't bubble, so listen in the capture phase
+        window.addEventListener('error', event => {
+            const target = event.target;
+            if (!target || target === window) return;
+            const url = target.currentSrc || target.src || target.href;
+            if (url && isOwnAsset(url)) bridge.emit('assetError', { url });
+        }, true);
+        const originalFetch = window.fetch;
+        window.fetch = async function (...args) {
+            const url = args[0] instanceof Request ? args[0].url : String(args[0]);
+            try {
+                const response = await originalFetch.apply(this, args);
+                if (response.status >= 500 && isOwnAsset(url)) {
+                    bridge.emit('assetError', { url, status: response.status });
+                }
+                return response;
+            } catch (error) {
+                if (error.name !== 'AbortError' && isOwnAsset(url)) {
+                    bridge.emit('assetError', { url, error: error.message });
+                }
+                throw error;
             }
+        };
+    }
+    // Progress reporting for games. The play page adds these up per user
+    // (custom:tracking_data), they're dropped when the game isn't framed by it.
+    //   ccPorted.events.achievementUnlocked("first_win", { name: "First win" })
+    //   ccPorted.events.levelReached(3, { name: "The Caves" })
+    //   ccPorted.events.sessionStart() / sessionEnd()
+    let sessionOpen = false;
+    function reportEvent(type, payload) {
+        if (!bridge) {
+            log(`ccPorted.events.${type} ignored, not running inside CCPorted`);
+            return;
+        }
+        bridge.emit(type, payload);
+    }
+    window.ccPorted.events = {
+        achievementUnlocked(id, details = {}) {
+            if (typeof id !== 'string' || !id) throw new Error("Achievement ID is required");
+            reportEvent('achievementUnlocked', { id, name: details.name, description: details.description });
+        },
+        levelReached(level, details = {}) {
+            if (typeof level !== 'number' && typeof level !== 'string') throw new Error("Level must be a number or string");
+            reportEvent('levelReached', { level, name: details.name });
+        },
+        sessionStart() {
+            sessionOpen = true;
+            reportEvent('sessionStart', null);
+        },
+        sessionEnd() {
+            if (!sessionOpen) return;
+            sessionOpen = false;
+            reportEvent('sessionEnd', null);
+        }
+    };
+    window.addEventListener('pagehide', () => window.ccPorted.events.sessionEnd());
+    // Scores go through the score API (server/scores), which checks them against
+    // the board's rules. It needs a session started when the game loaded, so a
+    // score can't be posted the moment the page opens.
+    const SCORE_API = window.ccPorted.scoreApi || "https://z67jfipy20.execute-api.us-west-2.amazonaws.com/prod/scores";
+    const scoreSessions = {};
+    async function scoreApi(path, body) {
+        const response = await fetch(`${SCORE_API}/${path}`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Authorization": `Bearer ${localStorage.getItem("[ns_ccported]_idToken")}`
+            },
+            body: JSON.stringify(body)
         });
+        const data = await response.json().catch(() => ({}));
+        // Rejected scores come back as 422/429 with a reason
+        if (!response.ok && data.accepted !== false) {
+            throw new Error(data.error || `Score API answered ${response.status}`);
+        }
+        return data;
+    }
+    function startScoreSession(id) {
+        scoreSessions[id] = scoreApi("session", { gameID: id }).then(data => data.session);
+        scoreSessions[id].catch(e => {
+            console.error("[LEADERBOARD] Couldn't start a score session", e);
+            delete scoreSessions[id];
+        });
+    }
+    async function submitScore(id, board, score) {
+        if (!scoreSessions[id]) startScoreSession(id);
+        return scoreApi("submit", { session: await scoreSessions[id], board, score });
     }
+    // new ccPorted.Leaderboard(gameID) is the game's default high score board.
+    // Other boards need an id and, when lower is better, order "asc":
+    //   new ccPorted.Leaderboard(gameID, { board: "fastest", order: "asc" })
+    // Boards also need listing in the game's games_list entry (leaderboards)
+    // to show up in the play page's leaderboard panel.
     class Leaderboard {
-        constructor(gameID) {
+        constructor(gameID, options = {}) {
             if (!gameID) {
                 throw new Error("Game ID is required");
             }
             this.gameID = gameID;
+            this.board = options.board || DEFAULT_BOARD.id;
+            this.order = options.order === "asc" ? "asc" : "desc";
             this.cached = [];
             this.loading = false;
             this.needsRefresh = false;
             this.score = 0;
         }
-        async loadScores() {
+        compareScores(a, b) {
+            return this.order === "asc" ? a - b : b - a;
+        }
+        // period: "all", "week" or "day"
+        async loadScores(period = "all") {
+            if (period !== this.cachedPeriod) {
+                this.cached = [];
+                this.cachedPeriod = period;
+            }
             if (this.loading && this.cached.length > 0) {
                 return this.cached;
             }
@@ -99,10 +234,10 @@ window.ccPorted = window.ccPorted || {};
                     TableName: "leaderboard",
                     IndexName: "gameID-score-index",
                     Limit: 10,
-                    ScanIndexForward: false,
+                    ScanIndexForward: this.order === "asc",
                     KeyConditionExpression: "gameID = :gameID AND score > :score",
                     ExpressionAttributeValues: {
-                        ":gameID": this.gameID,
+                        ":gameID": leaderboardPartition(this.gameID, this.board, period),
                         ":score": 0
                     }
                 });
@@ -122,7 +257,7 @@ window.ccPorted = window.ccPorted || {};
                 });
                 if (this.guestScore != undefined) {
                     scores.push({ score: this.guestScore, display_name: 'Guest', userID: 'guest' });
-                    scores.sort((a, b) => b.score - a.score);
+                    scores.sort((a, b) => this.compareScores(a.score, b.score));
                 }
                 this.cached = scores;
                 this.needsRefresh = false;
@@ -135,7 +270,7 @@ window.ccPorted = window.ccPorted || {};
             this.guestScore = score;
             if (this.cached.length > 0) {
                 this.cached.push({ score: score, display_name: 'Guest', userID: 'guest' });
-                this.cached.sort((a, b) => b.score - a.score);
+                this.cached.sort((a, b) => this.compareScores(a.score, b.score));
             }
         }
         formatScore(score) {
@@ -176,46 +311,25 @@ window.ccPorted = window.ccPorted || {};
             if (!window.ccPorted.user) {
                 return this.addGuestScore(score);
             }
+            const displayName = window.ccPorted.user.attributes["preferred_username"] || window.ccPorted.user["cognito:username"] || "Anonymous";
+            let result;
             try {
-                // find old score
-                const data = await window.ccPorted.query({
-                    TableName: "leaderboard",
-                    KeyConditionExpression: "gameID = :gameID AND userID = :userID",
-                    ExpressionAttributeValues: {
-                        ":gameID": this.gameID,
-                        ":userID": window.ccPorted.user.sub
-                    },
-                    Limit: 1
-                });
-                const oldScore = data.Items;
-                // update score if new score is higher
-                if (oldScore && oldScore.length > 0) {
-                    if (oldScore[0].score >= score) {
-                        log("Old score is higher");
-                        this.score = { score: score, userID: window.ccPorted.user.sub, displayName: window.ccPorted.user.attributes["preferred_username"] || window.ccPorted.user["cognito:username"] || "Anonymous" };
-                        return;
-                    }
-                }
-                const newData = { gameID: this.gameID, userID: window.ccPorted.user.sub, score: score, displayName: window.ccPorted.user.attributes["preferred_username"] || window.ccPorted.user["cognito:username"] || "Anonymous" };
-                const params = {
-                    TableName: 'leaderboard',
-                    Key: {
-                        gameID: this.gameID,
-                        userID: window.ccPorted.user.sub
-                    },
-                    UpdateExpression: 'set score = :s, displayName = :d',
-                    ExpressionAttributeValues: {
-                        ':s': score,
-                        ':d': newData.displayName
-                    }
-                }
-                await window.ccPorted.documentClient.update(params).promise();
-                log("Score updated");
-                this.needsRefresh = true;
+                result = await submitScore(this.gameID, this.board, score);
             } catch (e) {
-                console.error(e);
-                log(e);
+                console.error("[LEADERBOARD] Error submitting score", e);
+                return;
             }
+            if (!result.accepted) {
+                log(`Score rejected: ${result.reason}`);
+                return;
+            }
+            if (result.improved.length === 0) {
+                log("Old score is better");
+                this.score = { score: score, userID: window.ccPorted.user.sub, displayName };
+                return;
+            }
+            log("Score updated");
+            this.needsRefresh = true;
         }
         clearCache() {
             this.cached = [];
@@ -266,6 +380,306 @@ window.ccPorted = window.ccPorted || {};
             });
         });
     };
+    // Versioned save slots for the current game, see src/lib/types/saves.ts.
+    // uploadFile/downloadFile above keep a single object per name.
+    //   await ccPorted.saves.save("slot1", JSON.stringify(state))
+    //   const bytes = await ccPorted.saves.load("slot1") // Uint8Array or null
+    //   ccPorted.saves.onChange(slot => ...) // changed from the play page
+    const saveListeners = [];
+    async function savesClient() {
+        await window.ccPorted.awsPromise;
+        if (!window.ccPorted.user) throw new Error("Log in to use cloud saves");
+        return { s3: window.ccPorted.s3Client, sub: window.ccPorted.user.sub };
+    }
+    async function listSaveObjects(s3, prefix) {
+        const objects = [];
+        let token;
+        do {
+            const page = await s3.listObjectsV2({ Bucket: 'ccporteduserobjects', Prefix: prefix, ContinuationToken: token }).promise();
+            objects.push(...page.Contents);
+            token = page.NextContinuationToken;
+        } while (token);
+        return objects;
+    }
+    async function listSlots(s3, sub) {
+        const prefix = savesPrefix(sub, gameID);
+        return groupSaveObjects(await listSaveObjects(s3, prefix), prefix);
+    }
+    async function saveQuota(s3, sub) {
+        const objects = await listSaveObjects(s3, savesPrefix(sub));
+        return { used: objects.reduce((total, object) => total + object.Size, 0), limit: SAVE_QUOTA_BYTES };
+    }
+    async function pruneSlot(s3, sub, slot) {
+        const found = (await listSlots(s3, sub)).find(s => s.slot === slot);
+        const old = found ? versionsToPrune(found) : [];
+        if (old.length === 0) return;
+        await s3.deleteObjects({
+            Bucket: 'ccporteduserobjects',
+            Delete: { Objects: old.map(version => ({ Key: version.key })) }
+        }).promise();
+    }
+    async function findVersion(s3, sub, slot, savedAt) {
+        const found = (await listSlots(s3, sub)).find(s => s.slot === slot);
+        if (!found) return null;
+        return savedAt === undefined ? found.versions[0] : found.versions.find(v => v.savedAt === savedAt) || null;
+    }
+    window.ccPorted.saves = {
+        async list() {
+            const { s3, sub } = await savesClient();
+            return listSlots(s3, sub);
+        },
+        async quota() {
+            const { s3, sub } = await savesClient();
+            return saveQuota(s3, sub);
+        },
+        // data: string, Blob, ArrayBuffer or typed array
+        async save(slot = DEFAULT_SLOT, data) {
+            if (!isValidSlotName(slot)) throw new Error("Slot names are up to 64 letters, digits, spaces, - or _");
+            const { s3, sub } = await savesClient();
+            const body = typeof data === "string" ? new TextEncoder().encode(data) : data;
+            const size = body.size ?? body.byteLength;
+            const quota = await saveQuota(s3, sub);
+            if (quota.used + size > quota.limit) throw new Error("Not enough cloud save space left");
+            const savedAt = Date.now();
+            const key = saveVersionKey(sub, gameID, slot, savedAt);
+            await s3.putObject({ Bucket: 'ccporteduserobjects', Key: key, Body: body, ContentType: 'application/octet-stream' }).promise();
+            await pruneSlot(s3, sub, slot);
+            return { key, savedAt, size };
+        },
+        // Newest version unless `savedAt` picks an older one
+        async load(slot = DEFAULT_SLOT, savedAt) {
+            const { s3, sub } = await savesClient();
+            const version = await findVersion(s3, sub, slot, savedAt);
+            if (!version) return null;
+            const data = await s3.getObject({ Bucket: 'ccporteduserobjects', Key: version.key }).promise();
+            return data.Body;
+        },
+        async restore(slot, savedAt) {
+            const { s3, sub } = await savesClient();
+            const version = await findVersion(s3, sub, slot, savedAt);
+            if (!version) throw new Error(`No version ${savedAt} of ${slot}`);
+            const quota = await saveQuota(s3, sub);
+            if (quota.used + version.size > quota.limit) throw new Error("Not enough cloud save space left");
+            const restoredAt = Date.now();
+            const key = saveVersionKey(sub, gameID, slot, restoredAt);
+            await s3.copyObject({
+                Bucket: 'ccporteduserobjects',
+                CopySource: `ccporteduserobjects/${encodeURIComponent(version.key)}`,
+                Key: key
+            }).promise();
+            await pruneSlot(s3, sub, slot);
+            return { key, savedAt: restoredAt, size: version.size };
+        },
+        async delete(slot) {
+            const { s3, sub } = await savesClient();
+            const found = (await listSlots(s3, sub)).find(s => s.slot === slot);
+            if (!found) return;
+            await s3.deleteObjects({
+                Bucket: 'ccporteduserobjects',
+                Delete: { Objects: found.versions.map(version => ({ Key: version.key })) }
+            }).promise();
+        },
+        onChange(listener) {
+            saveListeners.push(listener);
+        }
+    };
+    bridge?.on('savesChanged', ({ slot }) => {
+        for (const listener of saveListeners) listener(slot);
+    });
+    // Cloud sync of this game's sandboxed storage, when the player turned it on
+    // in the play page's save manager. The cloud copy lives at
+    // <sub>/sync/<gameID>.json. On start the newer side wins unless both
+    // changed since this device last synced, then the player picks; taking the
+    // cloud's copy reloads the game so it boots from it. After that, changes
+    // are uploaded every minute and when the tab is hidden.
+    // The start-up sync decides on the storage as it was before the game ran:
+    // localStorage is copied right away and the sandbox holds back the game's
+    // IndexedDB requests until the sync settled (or STARTUP_SYNC_TIMEOUT
+    // passed), so a restore never runs under the game's open databases. Later
+    // syncs only upload; a newer cloud copy waits for the next start.
+    const SYNC_INTERVAL = 60 * 1000;
+    const STARTUP_SYNC_TIMEOUT = 15 * 1000;
+    const MAX_SYNC_BYTES = 20 * 1024 * 1024;
+    const syncGameID = window.gameID || "ccported";
+    const syncNamespace = `[ns_${syncGameID}]`;
+    // The ccported namespace is shared and holds the tokens, never sync it
+    const syncable = !!bridge && syncGameID !== "ccported";
+    const bootLocalStorage = syncable ? copyLocalStorage(syncNamespace, rawLocalStorage) : null;
+    let storageHeld = syncable;
+    // Set while the player picks a side or a restore runs, which outlast the timeout
+    let storageSettling = false;
+    let releaseStorage = () => {};
+    const storageReady = new Promise(resolve => {
+        releaseStorage = () => {
+            storageHeld = false;
+            resolve();
+        };
+    });
+    if (!syncable) releaseStorage();
+    const syncMetaKey = `[ns_ccported]_storageSync_${syncGameID}`;
+    // Set across the reload that follows a restore, so it can't loop
+    const syncRestoredKey = `[ns_ccported]_storageSyncRestored_${syncGameID}`;
+    let syncTimer = null;
+    let syncRunning = null;
+    let syncEnabled = false;
+    function readSyncMeta(sub) {
+        try {
+            const meta = JSON.parse(rawLocalStorage.getItem(syncMetaKey));
+            if (meta && meta.sub === sub) return meta;
+        } catch {
+            // Start over
+        }
+        return { sub, lastSyncedHash: null, localHash: null, localModifiedAt: 0 };
+    }
+    function writeSyncMeta(meta) {
+        rawLocalStorage.setItem(syncMetaKey, JSON.stringify(meta));
+    }
+    function cloudSyncKey(sub) {
+        return `${sub}/sync/${syncGameID}.json`;
+    }
+    async function headCloudSnapshot(s3, sub) {
+        try {
+            const head = await s3.headObject({ Bucket: 'ccporteduserobjects', Key: cloudSyncKey(sub) }).promise();
+            return { hash: head.Metadata.hash, savedAt: Number(head.Metadata.savedat) };
+        } catch (e) {
+            if (e.code === 'NotFound' || e.code === 'NoSuchKey') return null;
+            throw e;
+        }
+    }
+    async function uploadSnapshot(s3, sub, snapshot) {
+        const body = JSON.stringify(snapshot);
+        if (body.length > MAX_SYNC_BYTES) {
+            log(`Storage snapshot is ${body.length} bytes, too big to sync`);
+            return false;
+        }
+        await s3.putObject({
+            Bucket: 'ccporteduserobjects',
+            Key: cloudSyncKey(sub),
+            Body: body,
+            ContentType: 'application/json',
+            Metadata: { hash: snapshot.hash, savedat: String(snapshot.savedAt) }
+        }).promise();
+        return true;
+    }
+    function askSyncConflict(localAt, cloudAt) {
+        return new Promise(resolve => {
+            const when = time => time ? new Date(time).toLocaleString() : "an unknown time";
+            const newer = localAt > cloudAt ? "local" : "cloud";
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.6);font-family:Arial,sans-serif';
+            overlay.innerHTML = `
+                <div style="max-width:360px;padding:20px;border-radius:8px;background:#fff;color:#222;text-align:center">
+                    <h3 style="margin-top:0">Which save should we keep?</h3>
+                    <p>This game's progress changed on this device and on another one since they last synced.</p>
+                    <p>This device: ${when(localAt)}<br>Cloud: ${when(cloudAt)}</p>
+                    <button data-choice="local">Keep this device's${newer === "local" ? " (newer)" : ""}</button>
+                    <button data-choice="cloud">Keep the cloud's${newer === "cloud" ? " (newer)" : ""}</button>
+                </div>`;
+            for (const button of overlay.querySelectorAll('button')) {
+                button.style.cssText = `margin:4px;padding:8px 12px;border:none;border-radius:4px;cursor:pointer;color:#fff;background:${button.dataset.choice === newer ? '#007bff' : '#6c757d'}`;
+                button.addEventListener('click', () => {
+                    overlay.remove();
+                    resolve(button.dataset.choice);
+                });
+            }
+            (document.body || document.documentElement).appendChild(overlay);
+        });
+    }
+    async function restoreFromCloud(s3, sub, meta) {
+        const data = await s3.getObject({ Bucket: 'ccporteduserobjects', Key: cloudSyncKey(sub) }).promise();
+        const snapshot = JSON.parse(new TextDecoder().decode(data.Body));
+        await restoreStorage(snapshot, syncNamespace, rawLocalStorage, rawIndexedDB);
+        writeSyncMeta({ ...meta, lastSyncedHash: snapshot.hash, localHash: snapshot.hash, localModifiedAt: snapshot.savedAt });
+        log("Restored storage from the cloud");
+        // Boot the game again from the restored data, once
+        const restoredAt = Number(sessionStorage.getItem(syncRestoredKey));
+        if (!restoredAt || Date.now() - restoredAt > 30 * 1000) {
+            sessionStorage.setItem(syncRestoredKey, String(Date.now()));
+            location.reload();
+        }
+    }
+    async function syncStorage() {
+        const { s3, sub } = await savesClient();
+        const meta = readSyncMeta(sub);
+        // Whatever the game wrote to localStorage since it started isn't what it booted from
+        const local = await snapshotStorage(syncGameID, syncNamespace, rawLocalStorage, rawIndexedDB, storageHeld ? bootLocalStorage : undefined);
+        if (local.hash !== meta.localHash) {
+            // First sight of this device's data counts as old, so the cloud's wins ties
+            meta.localModifiedAt = meta.localHash === null ? 0 : local.savedAt;
+            meta.localHash = local.hash;
+            writeSyncMeta(meta);
+        }
+        const cloud = await headCloudSnapshot(s3, sub);
+        let decision = decideSync({ hash: local.hash, empty: isEmptySnapshot(local) }, cloud, meta.lastSyncedHash);
+        if ((decision === "download" || decision === "conflict") && !storageHeld) {
+            log(`Storage sync: ${decision}, left for the next start`);
+            return;
+        }
+        storageSettling = true;
+        try {
+            if (decision === "conflict") {
+                decision = await askSyncConflict(meta.localModifiedAt, cloud.savedAt) === "local" ? "upload" : "download";
+            }
+            log(`Storage sync: ${decision}`);
+            if (decision === "download") {
+                await restoreFromCloud(s3, sub, meta);
+                return;
+            }
+        } finally {
+            storageSettling = false;
+        }
+        if (decision === "upload") {
+            local.savedAt = meta.localModifiedAt || local.savedAt;
+            if (await uploadSnapshot(s3, sub, local)) writeSyncMeta({ ...meta, lastSyncedHash: local.hash });
+        } else if (cloud) {
+            writeSyncMeta({ ...meta, lastSyncedHash: local.hash });
+        }
+    }
+    function runStorageSync() {
+        if (!syncEnabled || syncRunning) return syncRunning;
+        syncRunning = syncStorage()
+            .catch(e => console.error("[storageSync] Sync failed", e))
+            .finally(() => {
+                syncRunning = null;
+            });
+        return syncRunning;
+    }
+    function setStorageSync(enabled) {
+        syncEnabled = enabled;
+        clearInterval(syncTimer);
+        syncTimer = null;
+        if (!enabled) return;
+        const first = runStorageSync();
+        syncTimer = setInterval(runStorageSync, SYNC_INTERVAL);
+        return first;
+    }
+    async function startStorageSync() {
+        if (!syncable) return;
+        const timeout = setTimeout(function releaseAfterTimeout() {
+            if (!storageHeld) return;
+            if (!storageSettling) {
+                log("Start-up storage sync is taking too long, starting the game");
+                releaseStorage();
+            } else {
+                setTimeout(releaseAfterTimeout, 1000);
+            }
+        }, STARTUP_SYNC_TIMEOUT);
+        try {
+            bridge.on('storageSyncChanged', ({ enabled }) => setStorageSync(enabled));
+            const enabled = await bridge.request('storageSyncEnabled', null).catch(() => false);
+            await window.ccPorted.awsPromise;
+            if (enabled && window.ccPorted.user) await setStorageSync(true);
+        } catch (e) {
+            console.error("[storageSync] Start-up sync failed", e);
+        } finally {
+            clearTimeout(timeout);
+            releaseStorage();
+        }
+    }
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') runStorageSync();
+    });
+    startStorageSync();
     window.ccPorted.updateUser = async (attributes) => {
         await window.ccPorted.awsPromise;
         return new Promise((resolve, reject) => {
@@ -421,6 +835,34 @@ window.ccPorted = window.ccPorted || {};
         const expiryTime = tokenData.exp * 1000;
         return Date.now() >= expiryTime;
     }
+    // Stands in for an IndexedDB request until the start-up storage sync let
+    // the game at its storage, then starts the real one and passes its state
+    // and events on
+    function deferRequest(start) {
+        const stand = new EventTarget();
+        let request = null;
+        for (const type of ['success', 'error', 'upgradeneeded', 'blocked']) {
+            let handler = null;
+            Object.defineProperty(stand, `on${type}`, { get: () => handler, set: value => { handler = value; } });
+            stand.addEventListener(type, event => handler?.call(stand, event));
+        }
+        for (const prop of ['result', 'error', 'source', 'transaction']) {
+            Object.defineProperty(stand, prop, { get: () => request ? request[prop] : null });
+        }
+        Object.defineProperty(stand, 'readyState', { get: () => request ? request.readyState : 'pending' });
+        storageReady.then(() => {
+            request = start();
+            for (const type of ['success', 'error', 'blocked']) {
+                request.addEventListener(type, () => stand.dispatchEvent(new Event(type)));
+            }
+            // Dispatched synchronously, so the game's handler still runs inside the upgrade transaction
+            request.addEventListener('upgradeneeded', event => stand.dispatchEvent(new IDBVersionChangeEvent('upgradeneeded', {
+                oldVersion: event.oldVersion,
+                newVersion: event.newVersion
+            })));
+        });
+        return stand;
+    }
     function createGameStorageSandbox(gameId = "ccported") {
         // Create a unique namespace for this game
         const namespace = `[ns_${gameId}]`;
@@ -571,7 +1013,8 @@ window.ccPorted = window.ccPorted || {};
         const indexedDBProxy = new Proxy(window.indexedDB, {
             get: function (target, prop) {
                 if (prop === 'open') {
-                    return function (dbName, version) {
+                    return function open(dbName, version) {
+                        if (storageHeld) return deferRequest(() => open(dbName, version));
                         // check if db is already namespaced or global
                         const isNamespaced = namespaceRegex.test(dbName);
                         if (isNamespaced) {
@@ -717,7 +1160,8 @@ window.ccPorted = window.ccPorted || {};
                         return request;
                     };
                 } else if (prop === 'deleteDatabase') {
-                    return function (dbName) {
+                    return function deleteDatabase(dbName) {
+                        if (storageHeld) return deferRequest(() => deleteDatabase(dbName));
                         // Check if the database is already namespaced
                         if (namespaceRegex.test(dbName)) {
                             return originalIndexedDB.deleteDatabase(dbName);
@@ -730,6 +1174,7 @@ window.ccPorted = window.ccPorted || {};
                     // remove the current namespace name from the list of databases
                     // eg: [ns_slope]_/idbfs -> /idbfs
                     return async function () {
+                        await storageReady;
                         const databases = await originalIndexedDB.databases();
                         return databases.map(db => {
                             db.name = db.name.replace(namespace + "_", '');
@@ -913,60 +1358,44 @@ window.ccPorted = window.ccPorted || {};
             window.ccPorted.migrateDatabase = migrateDatabase;
         };
     }
+    function storeTokens(tokens) {
+        // Store tokens in localStorage with consistent naming
+        localStorage.setItem("[ns_ccported]_accessToken", tokens.accessToken);
+        localStorage.setItem("[ns_ccported]_idToken", tokens.idToken);
+        localStorage.setItem("[ns_ccported]_refreshToken", tokens.refreshToken);
+    }
+    function clearTokens() {
+        localStorage.removeItem("[ns_ccported]_accessToken");
+        localStorage.removeItem("[ns_ccported]_idToken");
+        localStorage.removeItem("[ns_ccported]_refreshToken");
+    }
+    // The play page signed out: forget the user and go back to guest credentials
+    function signOut() {
+        clearTokens();
+        window.ccPorted.user = null;
+        setStorageSync(false);
+        for (const id in scoreSessions) delete scoreSessions[id];
+        const credentials = window.ccPorted.AWS?.config.credentials;
+        const provider = "cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n";
+        if (credentials?.params?.Logins?.[provider]) {
+            delete credentials.params.Logins[provider];
+            // Otherwise the authenticated identity would be reused
+            credentials.clearCachedId();
+            refreshAWSCredentials().catch(error => console.error("Couldn't switch to guest credentials:", error));
+        }
+        log("Signed out");
+    }
     async function getTokensFromParent(timeout = 5000) {
-        return new Promise((resolve, reject) => {
-            // Create a unique request ID to match responses
-            const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
-
-            // Set up message handler
-            const messageHandler = (event) => {
-                // Only accept messages from the parent origin
-                if (event.origin !== parentOrigin) return;
-
-                const data = event.data;
-
-                // Verify this is a response to our specific request
-                if (data.requestId === requestId) {
-                    // Clean up the event listener
-                    window.removeEventListener("message", messageHandler);
-
-                    // Handle the different response types
-                    if (data.action === "SET_TOKENS") {
-                        const tokens = data.content;
-
-                        // Store tokens in localStorage with consistent naming
-                        localStorage.setItem("[ns_ccported]_accessToken", tokens.accessToken);
-                        localStorage.setItem("[ns_ccported]_idToken", tokens.idToken);
-                        localStorage.setItem("[ns_ccported]_refreshToken", tokens.refreshToken);
-
-                        resolve(tokens);
-                    } else if (data.action === "NO_USER") {
-                        console.log("No user found in parent, initializing unauthenticated.");
-                        resolve(null);
-                    } else if (data.action === "UNKNOWN_ACTION") {
-                        console.log("Unknown action received from parent:", data.action);
-                        // always soft resolve
-                        resolve();
-                    }
-                }
-            };
-
-            // Add event listener
-            window.addEventListener("message", messageHandler);
-
-            // Send request to parent
-            window.parent.postMessage({
-                action: "GET_TOKENS",
-                requestId: requestId,
-                fromInternal: true
-            }, parentOrigin);
-
-            // Set timeout
-            setTimeout(() => {
-                window.removeEventListener("message", messageHandler);
-                reject(new Error("Timeout getting tokens from parent"));
-            }, timeout);
-        });
+        if (!bridge) return null;
+        const tokens = await bridge.request('getTokens', null, timeout);
+        if (tokens) {
+            storeTokens(tokens);
+        } else {
+            // Tokens left over from a session that has since been signed out
+            clearTokens();
+            console.log("No user found in parent, initializing unauthenticated.");
+        }
+        return tokens;
     }
     async function initializeUnauthenticated() {
         AWS.config.credentials = new AWS.CognitoIdentityCredentials({
@@ -1090,7 +1519,8 @@ window.ccPorted = window.ccPorted || {};
         });
         window.ccPorted["awsReady"] = true;
         window.ccPorted["user"] = user;
-        window.ccPorted.getUser = () => user;
+        window.ccPorted.getUser = () => window.ccPorted.user;
+        if (user && gameIDExtract) startScoreSession(gameID);
 
     }
     async function exchangeAuthCodeForTokens(authCode) {
@@ -1 +1,8 @@
-window.ccPorted=window.ccPorted||{},(()=>{let e="https://us-west-2lg1qptg2n.auth.us-west-2.amazoncognito.com",t="4d6esoka62s46lo4d398o3sqpi",r=`${window.location.origin}`;l(window.gameID||window.ccPorted.gameID);let o=u(),n=/\/(game_\w+)\//,a=n.exec(window.location.pathname),s=o&&document.location.ancestorOrigins.length>0?new URL(document.location.ancestorOrigins[0]).origin:null,c=void 0!==window.ccPorted.gameID&&"undefined"!=window.ccPorted.gameID?window.ccPorted.gameID:window.gameID||(a?a[1]:"Unknown Game");function i(){window.addEventListener("message",e=>{if(e.origin===s&&e.data&&e.data.action&&"CACHE_CONTROL"===e.data.type)switch(e.data.action){case"CLEAR_CACHE":if(navigator.serviceWorker.controller){let t=new MessageChannel;t.port1.onmessage=e=>{console.log("Cache cleared:",e.data)},navigator.serviceWorker.controller.postMessage({action:"CLEAR_CACHE"},[t.port2])}break;case"CACHE_STATUS":navigator.serviceWorker.getRegistration().then(t=>{e.source.postMessage({action:"CACHE_STATUS_RESPONSE",active:!!t?.active,size:null},e.origin)})}})}"serviceWorker"in navigator?window.addEventListener("load",()=>{navigator.serviceWorker.register("/game_worker.js",{scope:"/"}).then(e=>{console.log("Game service worker registered:",e);let t=window!==window.top;t&&(window.parent.postMessage({action:"CACHE_ENABLED",gameId:c},"*"),i())}).catch(e=>{console.error("Service worker registration failed:",e)})}):console.warn("Service workers are not supported in this browser.");class ${constructor(e){if(!e)throw Error("Game ID is required");this.gameID=e,this.cached=[],this.loading=!1,this.needsRefresh=!1,this.score=0}async loadScores(){if(this.loading&&this.cached.length>0||this.cached.length>0&&!this.needsRefresh)return this.cached;await window.ccPorted.awsPromise,this.loading=!0;try{let e=await window.ccPorted.query({TableName:"leaderboard",IndexName:"gameID-score-index",Limit:10,ScanIndexForward:!1,KeyConditionExpression:"gameID = :gameID AND score > :score",ExpressionAttributeValues:{":gameID":this.gameID,":score":0}});this.loading=!1;var t=!1,r=e.Items.map((e,r)=>(("guest"==e.userID||e.userID==window.ccPorted?.user?.sub)&&(t=!0),{score:e.score,id:e.userID,display_name:e.displayName,rank:r+1}));return void 0!=this.guestScore&&(r.push({score:this.guestScore,display_name:"Guest",userID:"guest"}),r.sort((e,t)=>t.score-e.score)),this.cached=r,this.needsRefresh=!1,r}catch(o){console.log("[LEADERBOARD] Error getting scores",o)}}addGuestScore(e){this.guestScore=e,this.cached.length>0&&(this.cached.push({score:e,display_name:"Guest",userID:"guest"}),this.cached.sort((e,t)=>t.score-e.score))}formatScore(e){if(e<1e3)return e;if(e<1e6)return(e/1e3).toFixed(2)+"K";if(e<1e9)return(e/1e6).toFixed(2)+"M";if(e<1e12)return(e/1e9).toFixed(2)+"B";if(e<1e15)return(e/1e12).toFixed(2)+"T";else if(e<1e18)return(e/1e15).toFixed(2)+"Q";else if(e<1e21)return(e/1e18).toFixed(2)+"QQ";else if(e<1e24)return(e/1e21).toFixed(2)+"S";else if(e<1e27)return(e/1e24).toFixed(2)+"SS";else if(e<1e30)return(e/1e27).toFixed(2)+"O";else if(e<1e33)return(e/1e30).toFixed(2)+"N";else if(e/1e33)return(e/1e33).toFixed(2)+"D";else return e.toExponential(2)}async addScore(e){if(d("adding score"),!window.ccPorted.user)return this.addGuestScore(e);try{let t=await window.ccPorted.query({TableName:"leaderboard",KeyConditionExpression:"gameID = :gameID AND userID = :userID",ExpressionAttributeValues:{":gameID":this.gameID,":userID":window.ccPorted.user.sub},Limit:1}),r=t.Items;if(r&&r.length>0&&r[0].score>=e){d("Old score is higher"),this.score={score:e,userID:window.ccPorted.user.sub,displayName:window.ccPorted.user.attributes.preferred_username||window.ccPorted.user["cognito:username"]||"Anonymous"};return}let o={gameID:this.gameID,userID:window.ccPorted.user.sub,score:e,displayName:window.ccPorted.user.attributes.preferred_username||window.ccPorted.user["cognito:username"]||"Anonymous"},n={TableName:"leaderboard",Key:{gameID:this.gameID,userID:window.ccPorted.user.sub},UpdateExpression:"set score = :s, displayName = :d",ExpressionAttributeValues:{":s":e,":d":o.displayName}};await window.ccPorted.documentClient.update(n).promise(),d("Score updated"),this.needsRefresh=!0}catch(a){console.error(a),d(a)}}clearCache(){this.cached=[]}}function d(...e){console.log(`[${c}]: `,...e)}function l(e){return e?e.split(".").join("-"):null}function u(){try{return window.self!==window.top}catch(e){return!0}}function g(e,t){d(`Creating shortcut for keys ${e}, calling ${t.name}`);var r={};for(let o of e)r[o]=!1;document.addEventListener("keydown",o=>{void 0!==r[o.which]&&(r[o.which]=!0),function t(){var o=!0;for(let n of e)r[n]||(o=!1);return o}()&&t()}),document.addEventListener("keyup",e=>{void 0!==r[e.which]&&(r[e.which]=!1)})}function f(){return new Promise((e,t)=>{AWS.config.credentials.expired=!0,AWS.config.credentials.refresh(r=>{r?(t(r),d("Failed to refresh credentials:",r)):(d("Credentials refreshed successfully"),e())})})}function m(e){try{let t=e.split(".")[1],r=t.replace(/-/g,"+").replace(/_/g,"/");return JSON.parse(atob(r))}catch(o){return console.error("Invalid JWT token:",o),null}}function h(e){if(!e||!e.exp)return!0;let t=1e3*e.exp;return Date.now()>=t}function p(e="ccported"){let t=`[ns_${e}]`,r=window.localStorage,o=window.indexedDB,n=RegExp("^\\[ns_[a-zA-Z0-9_-]+\\]_"),a=new Proxy(localStorage,{get:function(e,o){switch(o){case"setItem":return function(e,o,a=!1){return a?r.setItem("[ns_ccported]_"+e,o):r.getItem(`[ns_ccported]_${e}`)?r.setItem(`[ns_ccported]_${e}`,o):r.getItem(`${t}_${e}`)?r.setItem(`${t}_${e}`,o):n.test(e)?r.setItem(e,o):r.setItem(`${t}_${e}`,o)};case"getItem":return function(e){return r.getItem(`[ns_ccported]_${e}`)?r.getItem(`[ns_ccported]_${e}`):r.getItem(`${t}_${e}`)?r.getItem(`${t}_${e}`):n.test(e)?r.getItem(e):r.getItem(`${t}_${e}`)};case"removeItem":return function(e){return r.getItem(`[ns_ccported]_${e}`)?r.removeItem(`[ns_ccported]_${e}`):r.getItem(`${t}_${e}`)?r.removeItem(`${t}_${e}`):n.test(e)?r.removeItem(e):void 0};case"clear":return function(e=!1){if(e)return r.clear();for(let o=r.length-1;o>=0;o--){let n=r.key(o);n.startsWith(`${t}_`)&&r.removeItem(n)}};case"key":return function(e,o=!1){if(o)return r.key(e);let n=[];for(let a=0;a<r.length;a++){let s=r.key(a);s.startsWith(`${t}_`)&&n.push(s.slice(t.length+1))}return n[e]};case"length":let a=0;for(let s=0;s<r.length;s++)r.key(s).startsWith(`${t}_`)&&a++;return a;case"globalLength":return r.length;default:if(r.getItem(`[ns_ccported]_${o}`))return r.getItem(`[ns_ccported]_${o}`);if(r.getItem(`${t}_${o}`))return r.getItem(`${t}_${o}`);if(n.test(o))return r.getItem(o)}},set:function(e,o,a){return(["getItem","setItem","removeItem","clear","key","length","globalLength"].forEach(e=>{if(o===e)throw Error(`Cannot overwrite localStorage method ${e}`)}),r.getItem(`[ns_ccported]_${o}`))?r.setItem(`[ns_ccported]_${o}`,a):r.getItem(`${t}_${o}`)?r.setItem(`${t}_${o}`,a):n.test(o)?r.setItem(o,a):r.setItem(`${t}_${o}`,a)}}),s=new Proxy(window.indexedDB,{get:function(e,r){if("open"===r)return function(e,r){let a=n.test(e);if(a||e.startsWith("[ns_ccported]_"))return o.open(e,r);let s=`${t}_${e}`,c=async()=>{try{let t=await o.databases(),r=t.some(t=>t.name===e);return console.log(`Checking for database '${e}': ${r}`),r}catch(n){return console.error("Error checking databases:",n),!1}},i=o.open(s,r);return i.onerror=function(e){console.error(`Error opening database ${s}:`,e.target.error)},i.onupgradeneeded=function(t){console.log(`Upgrade needed for ${s}`);let r=t.target.result;c().then(t=>{if(t){console.log(`Found old database '${e}', initiating transfer`);let n=o.open(e);n.onerror=function(t){console.error(`Error opening old database ${e}:`,t.target.error)},n.onsuccess=function(t){let n=t.target.result;console.log(`Successfully opened old database '${e}'`),console.log("Object stores found:",Array.from(n.objectStoreNames));let a=Array.from(n.objectStoreNames);if(0===a.length){console.log(`No object stores found in old database '${e}'`),n.close();return}a.forEach(t=>{console.log(`Transferring object store: ${t}`);try{let s=n.transaction(t,"readonly"),c=s.objectStore(t),i=c.getAll();i.onsuccess=function(){try{if(!r.objectStoreNames.contains(t)){console.log(`Creating new object store: ${t}`);let e=r.createObjectStore(t,c.keyPath?{keyPath:c.keyPath}:{autoIncrement:c.autoIncrement});Array.from(c.indexNames).forEach(t=>{let r=c.index(t);e.createIndex(t,r.keyPath,{unique:r.unique,multiEntry:r.multiEntry})})}let o=r.transaction(t,"readwrite"),n=o.objectStore(t),a=i.result;console.log(`Transferring ${a.length} items for store ${t}`),a.forEach(e=>{try{n.add(e)}catch(r){console.error(`Error adding item to ${t}:`,r)}}),o.oncomplete=function(){console.log(`Completed transfer for store: ${t}`)},o.onerror=function(e){console.error(`Error in transfer transaction for ${t}:`,e.target.error)}}catch(s){console.error(`Error processing store ${t}:`,s)}},i.onerror=function(e){console.error(`Error getting data from ${t}:`,e.target.error)},s.oncomplete=function(){if(console.log(`Old database transaction complete for: ${t}`),t===a[a.length-1]){n.close();let r=o.deleteDatabase(e);r.onsuccess=function(){console.log(`Successfully deleted old database: ${e}`)},r.onerror=function(t){console.error(`Error deleting old database ${e}:`,t.target.error)}}}}catch($){console.error(`Error in store transfer process for ${t}:`,$)}})}}else console.log(`No old database found for '${e}'`)})},i};if("deleteDatabase"===r)return function(e){if(n.test(e))return o.deleteDatabase(e);let r=`${t}_${e}`;return o.deleteDatabase(r)};if("databases"===r)return async function(){let e=await o.databases();return e.map(e=>(e.name=e.name.replace(t+"_",""),e))};{let a=o[r];return"function"==typeof a?a.bind(o):a}}});async function c(e,r){let n=`${t}_${e}`,a=await o.databases(),s=a.some(t=>t.name===e);return s?(console.log(`Manually migrating database: ${e}`),new Promise((t,a)=>{let s=o.open(n,r||1);s.onerror=function(e){console.error(`Error opening namespaced database ${n}:`,e.target.error),a(e.target.error)},s.onsuccess=function(s){s.target.result,console.log(`Successfully opened namespaced database '${n}'`);let c=o.open(e);c.onerror=function(t){console.error(`Error opening old database ${e}:`,t.target.error),a(t.target.error)},c.onsuccess=function(s){let c=s.target.result;console.log(`Successfully opened old database '${e}'`);let i=Array.from(c.objectStoreNames);if(console.log("Object stores found:",i),0===i.length){console.log(`No object stores found in old database '${e}'`),c.close(),t();return}let $=0,d=o.open(n,(r||1)+1);d.onupgradeneeded=function(e){let t=e.target.result;i.forEach(e=>{if(!t.objectStoreNames.contains(e)){let r=c.transaction(e).objectStore(e),o=t.createObjectStore(e,r.keyPath?{keyPath:r.keyPath}:{autoIncrement:r.autoIncrement});Array.from(r.indexNames).forEach(e=>{let t=r.index(e);o.createIndex(e,t.keyPath,{unique:t.unique,multiEntry:t.multiEntry})})}})},d.onsuccess=function(r){let n=r.target.result;i.forEach(r=>{console.log(`Transferring object store: ${r}`);try{let s=c.transaction(r,"readonly"),d=s.objectStore(r),l=d.getAll();l.onsuccess=function(){try{let s=l.result;console.log(`Transferring ${s.length} items for store ${r}`);let d=n.transaction(r,"readwrite"),u=d.objectStore(r);s.forEach(e=>{try{u.add(e)}catch(t){console.error(`Error adding item to ${r}:`,t)}}),d.oncomplete=function(){if(console.log(`Completed transfer for store: ${r}`),++$===i.length){console.log("All stores transferred successfully"),c.close(),n.close();let s=o.deleteDatabase(e);s.onsuccess=function(){console.log(`Successfully deleted old database: ${e}`),t()},s.onerror=function(t){console.error(`Error deleting old database ${e}:`,t.target.error),a(t.target.error)}}},d.onerror=function(e){console.error(`Error in transfer transaction for ${r}:`,e.target.error),a(e.target.error)}}catch(g){console.error(`Error processing store ${r}:`,g),a(g)}},l.onerror=function(e){console.error(`Error getting data from ${r}:`,e.target.error),a(e.target.error)}}catch(u){console.error(`Error in store transfer process for ${r}:`,u),a(u)}})},d.onerror=function(e){console.error(`Error upgrading database ${n}:`,e.target.error),a(e.target.error)}}}})):(console.log(`No old database found for '${e}'`),Promise.resolve())}return function e(){Object.defineProperty(window,"localStorage",{value:a,writable:!1,configurable:!0}),Object.defineProperty(window,"indexedDB",{value:s,writable:!1,configurable:!0}),window.ccPorted.migrateDatabase=c}}async function w(e=5e3){return new Promise((t,r)=>{let o=Date.now().toString(36)+Math.random().toString(36).substring(2),n=e=>{if(e.origin!==s)return;let r=e.data;if(r.requestId===o){if(window.removeEventListener("message",n),"SET_TOKENS"===r.action){let a=r.content;localStorage.setItem("[ns_ccported]_accessToken",a.accessToken),localStorage.setItem("[ns_ccported]_idToken",a.idToken),localStorage.setItem("[ns_ccported]_refreshToken",a.refreshToken),t(a)}else"NO_USER"===r.action?(console.log("No user found in parent, initializing unauthenticated."),t(null)):"UNKNOWN_ACTION"===r.action&&(console.log("Unknown action received from parent:",r.action),t())}};window.addEventListener("message",n),window.parent.postMessage({action:"GET_TOKENS",requestId:o,fromInternal:!0},s),setTimeout(()=>{window.removeEventListener("message",n),r(Error("Timeout getting tokens from parent"))},e)})}async function y(){return AWS.config.credentials=new AWS.CognitoIdentityCredentials({IdentityPoolId:"us-west-2:8ffe94a1-9042-4509-8e65-4efe16e61e3e"}),await f(),d("Configured AWS SDK with unauthenticated credentials"),null}async function I(e,t,r){let o=m(e);if(h(o)){d("ID token expired, attempting refresh...");let n=await P(r);if(!n)return console.error("Failed to refresh token. User must log in again."),y();o=m(n.id_token)}AWS.config.credentials=new AWS.CognitoIdentityCredentials({IdentityPoolId:"us-west-2:8ffe94a1-9042-4509-8e65-4efe16e61e3e",RoleSessionName:o.sub}),AWS.config.credentials.params.Logins=AWS.config.credentials.params.Logins||{},AWS.config.credentials.params.Logins["cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n"]=e,await f();let a=await window.ccPorted.identityProvider.getUser({AccessToken:t}).promise();d("User attributes recieved");let s=a.UserAttributes.reduce((e,{Name:t,Value:r})=>(e[t]=r,e),{}),c={...o,attributes:s};return c}async function b(){var e=null;if(window.ccPorted.awsReady=!1,"undefined"==typeof AWS){d("AWS SDK not loaded, loading...");let t=document.createElement("script");t.src="https://sdk.amazonaws.com/js/aws-sdk-2.1030.0.min.js",document.head.appendChild(t),await new Promise((e,r)=>{d("Waiting for AWS SDK to load..."),t.onload=e}),d("AWS SDK loaded")}if(window.ccPorted.AWS=AWS,AWS.config.update({region:"us-west-2"}),window.ccPorted.identityProvider=new AWS.CognitoIdentityServiceProvider({region:"us-west-2"}),o)try{let r=await w();if(r&&null!=r){let{idToken:n,accessToken:a,refreshToken:s}=r;n&&a?e=await I(n,a,s):(console.log("Invalid tokens received, initializing unauthenticated."),e=await y())}else console.warn("No tokens received from parent. Initializing unauthenticated."),e=await y()}catch(c){console.error("Authentication error:",c.message),e=await y()}else{let i=localStorage.getItem("[ns_ccported]_idToken"),$=localStorage.getItem("[ns_ccported]_accessToken"),l=localStorage.getItem("[ns_ccported]_refreshToken");if(i&&$)d("Tokens found. Initializing user..."),e=await I(i,$,l);else{console.warn("No valid tokens found. Checking for auth code...");let u=new URLSearchParams(window.location.search).get("code");if(u){console.log("Auth code found. Exchanging for tokens...");let g=await k(u);g?(i=g.id_token,e=await I(i,$=g.access_token,l=g.refresh_token)):(console.error("Failed to exchange auth code for tokens."),e=await y())}else console.warn("No auth code found in URL. User may need to log in."),e=await y()}}window.ccPorted.s3Client=new AWS.S3({region:"us-west-2"}),window.ccPorted.documentClient=new AWS.DynamoDB.DocumentClient({region:"us-west-2"}),window.ccPorted.awsReady=!0,window.ccPorted.user=e,window.ccPorted.getUser=()=>e}async function k(o){try{let n=await fetch(`${e}/oauth2/token`,{method:"POST",headers:{"Content-Type":"application/x-www-form-urlencoded"},body:new URLSearchParams({grant_type:"authorization_code",client_id:t,redirect_uri:r,code:o})}),a=await n.json();if(a.error)throw Error(a.error_description||"Failed to exchange auth code");return localStorage.setItem("[ns_ccported]_accessToken",a.access_token),localStorage.setItem("[ns_ccported]_idToken",a.id_token),localStorage.setItem("[ns_ccported]_refreshToken",a.refresh_token),window.history.replaceState({},document.title,r),a}catch(s){return console.error("Error exchanging auth code:",s),null}}async function P(r){if(!r)return console.warn("No refresh token available."),null;try{let o=await fetch(`${e}/oauth2/token`,{method:"POST",headers:{"Content-Type":"application/x-www-form-urlencoded"},body:new URLSearchParams({grant_type:"refresh_token",client_id:t,refresh_token:r})}),n=await o.json();if(n.error)throw Error(n.error||"Token refresh failed");return localStorage.setItem("[ns_ccported]_accessToken",n.access_token),localStorage.setItem("[ns_ccported]_idToken",n.id_token),console.log("Tokens refreshed successfully"),n}catch(a){return console.error("Error refreshing token:",a),null}}window.ccPorted.Leaderboard=$,window.ccPorted.getUserTokens=()=>({accessToken:localStorage.getItem("[ns_ccported]_accessToken"),idToken:localStorage.getItem("[ns_ccported]_idToken"),refreshToken:localStorage.getItem("[ns_ccported]_refreshToken")}),window.ccPorted.downloadFile=async e=>(await window.ccPorted.awsPromise,new Promise((t,r)=>{window.ccPorted.s3Client.getObject({Bucket:"ccporteduserobjects",Key:`${window.ccPorted.user.sub}/${e}`},(e,o)=>{e?r(e):t(o)})})),window.ccPorted.uploadFile=async(e,t,r={})=>(await window.ccPorted.awsPromise,new Promise((o,n)=>{let a={Bucket:"ccporteduserobjects",Key:`${window.ccPorted.user.sub}/${t}`,Body:e,ContentType:e.type,PartSize:5242880,QueueSize:10,...r};window.ccPorted.s3Client.upload(a,(e,t)=>{e?n(e):o(t)})})),window.ccPorted.updateUser=async e=>(await window.ccPorted.awsPromise,new Promise((t,r)=>{window.ccPorted.identityProvider.updateUserAttributes({AccessToken:window.ccPorted.getUserTokens().accessToken,UserAttributes:Object.entries(e).map(([e,t])=>({Name:e,Value:t}))},(e,o)=>{e?r(e):t(o)})})),window.ccPorted.query=async(...e)=>{await window.ccPorted.awsPromise;let[t,r,o,n]=e;return new Promise("object"==typeof t?(e,r)=>{window.ccPorted.documentClient.query(t,(t,o)=>{t?r(t):e(o)})}:(e,a)=>{let s={TableName:o,KeyConditionExpression:`${t} = :partitionKey`,ExpressionAttributeValues:{":partitionKey":r},...n};window.ccPorted.documentClient.query(s,(t,r)=>{t?a(t):e(r)})})},window.ccPorted.getUser=()=>window.ccPorted.user?user:window.ccPorted.userPromise,window.ccPorted.awsPromise=new Promise(async(e,t)=>{try{await b(),e(window.ccPorted)}catch(r){t(r)}}),window.ccPorted.userPromise=new Promise(async(e,t)=>{await window.ccPorted.awsPromise;let r=window.ccPorted.user;if(r){let o=document.querySelector(".loggedInReplacable");o&&(o.textContent=r["cognito:username"],o.href="/profile/"),e(r)}else console.log("No user data found, returning null"),e(null)}),(!window.ccPorted.config||void 0===window.ccPorted.config?.sandboxStorage||window.ccPorted.config.sandboxStorage)&&p(window.gameID||"ccported")()})();
\ No newline at end of file
+"use strict";(()=>{var He="ccported-bridge";var V=class extends Error{code;constructor(i,a){super(a),this.name="BridgeError",this.code=i}};function Se(r){return typeof r=="object"&&r!==null&&!Array.isArray(r)}function It(r){return Se(r)&&r.protocol===He}function vt(r){if(typeof r.version!="number"||!Number.isInteger(r.version)||r.version<1)return"missing or invalid version";if(typeof r.id!="string"||r.id.length===0)return"missing id";switch(r.kind){case"request":case"event":return typeof r.type=="string"&&r.type.length>0?null:"missing type";case"response":return typeof r.replyTo!="string"?"response without replyTo":r.ok===!0||r.ok===!1&&Se(r.error)&&typeof r.error.code=="string"&&typeof r.error.message=="string"?null:"response without ok/error";default:return"unknown kind"}}function Pt(){return Date.now().toString(36)+Math.random().toString(36).substring(2)}function Ne(r){let i=new Map,a=new Map,c=null,g=()=>({version:1,capabilities:[...Object.keys(r.handlers),...a.keys()]});function f(u,w=r.peer(),h=r.peerOrigin()){w&&w.postMessage(u,h)}function p(){return{protocol:He,version:1,id:Pt()}}function $(u,w,h){let R=h.ok?{...p(),kind:"response",replyTo:w,ok:!0,payload:h.payload}:{...p(),kind:"response",replyTo:w,ok:!1,error:{code:h.error.code,message:h.error.message}};f(R,u.source,u.origin)}async function P(u,w,h,R){if(h==="hello"){c=Se(R)&&Array.isArray(R.capabilities)&&typeof R.version=="number"?{version:R.version,capabilities:R.capabilities.filter(O=>typeof O=="string")}:null,$(u,w,{ok:!0,payload:g()});return}let m=r.handlers[h];if(!m){console.warn(`${r.tag} Rejected unknown request ${h}`),$(u,w,{ok:!1,error:new V("unknown_type",`Unknown request type ${h}`)});return}try{$(u,w,{ok:!0,payload:await m(R)??null})}catch(O){console.error(`${r.tag} ${h} handler failed:`,O),$(u,w,{ok:!1,error:new V("handler_error",O instanceof Error?O.message:String(O))})}}function x(u){let w=i.get(u.replyTo);w&&(i.delete(u.replyTo),clearTimeout(w.timer),u.ok?w.resolve(u.payload):w.reject(new V(u.error.code,u.error.message)))}async function k(u,w){let h=m=>{u.source?.postMessage({...m,requestId:w.requestId},u.origin)},R=r.handlers;try{if(w.action==="GET_TOKENS"&&R.getTokens){let m=await R.getTokens(null);h(m?{action:"SET_TOKENS",content:m}:{action:"NO_USER"})}else w.action==="SWITCH_SERVER"&&R.switchServer?await R.switchServer(w.server):w.action!=="CACHE_ENABLED"&&(console.warn(`${r.tag} Rejected unknown legacy action ${String(w.action)}`),h({action:"UNKNOWN_ACTION"}))}catch(m){h({action:"ERROR",error:m instanceof Error?m.message:String(m)})}}function b(u){let w=u.data,h=r.acceptLegacy&&Se(w)&&w.fromInternal===!0;if(!It(w)&&!h||!(r.acceptSource?r.acceptSource(u.source):u.source===r.peer()))return;if(!r.acceptOrigin(u.origin)){console.warn(`${r.tag} Rejected message from unauthorized origin: ${u.origin}`);return}if(h){k(u,w);return}let m=w,O=vt(m);if(O){console.warn(`${r.tag} Rejected malformed message (${O}):`,w),m.kind==="request"&&typeof m.id=="string"&&$(u,m.id,{ok:!1,error:new V("malformed",O)});return}let A=m,be=A.kind==="request"&&A.type==="hello";if(A.version>1&&!be&&A.kind!=="response"){console.warn(`${r.tag} Rejected version ${A.version} message, this side speaks 1`),A.kind==="request"&&$(u,A.id,{ok:!1,error:new V("unsupported_version",`Version ${A.version} isn't supported`)});return}switch(A.kind){case"request":P(u,A.id,A.type,A.payload);break;case"response":x(A);break;case"event":{let ce=a.get(A.type);if(!ce||ce.size===0){console.warn(`${r.tag} Ignored unknown event ${A.type}`);return}for(let fe of ce)fe(A.payload);break}}}window.addEventListener("message",b);let ue={request(u,w,h=5e3){return new Promise((R,m)=>{if(!r.peer()){m(new V("timeout","No peer to send to"));return}let O={...p(),kind:"request",type:u,payload:w};i.set(O.id,{resolve:R,reject:m,timer:setTimeout(()=>{i.delete(O.id),m(new V("timeout",`${u} got no response within ${h}ms`))},h)}),f(O)})},emit(u,w){f({...p(),kind:"event",type:u,payload:w})},on(u,w){let h=a.get(u);return h||a.set(u,h=new Set),h.add(w),()=>h.delete(w)},async handshake(u){let w=await ue.request("hello",g(),u);return c=w,w},supports(u){return c?.capabilities.includes(u)??!1},reset(){c=null},destroy(){window.removeEventListener("message",b);for(let u of i.values())clearTimeout(u.timer),u.reject(new V("timeout","Bridge closed"));i.clear(),a.clear()}};return ue}var Ae={id:"score",name:"High score",order:"desc",format:"number"};function Te(r){return String(r).padStart(2,"0")}function xt(r){let i=new Date(Date.UTC(r.getUTCFullYear(),r.getUTCMonth(),r.getUTCDate()));i.setUTCDate(i.getUTCDate()+3-(i.getUTCDay()+6)%7);let a=Date.UTC(i.getUTCFullYear(),0,1),c=Math.ceil(((i.getTime()-a)/864e5+1)/7);return`${i.getUTCFullYear()}-W${Te(c)}`}function Ge(r,i,a,c=new Date){if(a==="all")return i===Ae.id?r:`${r}#${i}`;let g=a==="day"?`d${c.getUTCFullYear()}-${Te(c.getUTCMonth()+1)}-${Te(c.getUTCDate())}`:`w${xt(c)}`;return`${r}#${i}#${g}`}var De="default",$t=/^[\w-][\w -]{0,63}$/;function Ye(r){return $t.test(r)}function _e(r,i){return i?`${r}/saves/${i}/`:`${r}/saves/`}function Re(r,i,a,c){return`${_e(r,i)}${a}/${c}.sav`}function Je(r,i){let a=new Map;for(let c of r){let g=c.Key?.startsWith(i)&&/^([^/]+)\/(\d+)\.sav$/.exec(c.Key.slice(i.length));if(!g)continue;let f=a.get(g[1])??[];f.push({key:c.Key,savedAt:Number(g[2]),size:c.Size??0}),a.set(g[1],f)}return[...a.entries()].map(([c,g])=>({slot:c,versions:g.sort((f,p)=>p.savedAt-f.savedAt)})).sort((c,g)=>g.versions[0].savedAt-c.versions[0].savedAt)}function Qe(r){return r.versions.slice(5)}var M="$ccp",Tt={Int8Array,Uint8Array,Uint8ClampedArray,Int16Array,Uint16Array,Int32Array,Uint32Array,Float32Array,Float64Array,BigInt64Array,BigUint64Array};function Oe(r){let i="";for(let a=0;a<r.length;a+=32768)i+=String.fromCharCode(...r.subarray(a,a+32768));return btoa(i)}function le(r){let i=atob(r),a=new Uint8Array(i.length);for(let c=0;c<i.length;c++)a[c]=i.charCodeAt(c);return a}async function oe(r){if(r===void 0)return{[M]:"undefined"};if(r===null||typeof r=="boolean"||typeof r=="string")return r;if(typeof r=="number")return Number.isFinite(r)?r:{[M]:"Number",value:String(r)};if(typeof r=="bigint")return{[M]:"BigInt",value:r.toString()};if(r instanceof Date)return{[M]:"Date",value:r.getTime()};if(r instanceof ArrayBuffer)return{[M]:"ArrayBuffer",data:Oe(new Uint8Array(r))};if(ArrayBuffer.isView(r)){let a=r instanceof DataView?"DataView":r.constructor.name;return{[M]:a,data:Oe(new Uint8Array(r.buffer,r.byteOffset,r.byteLength))}}if(r instanceof Blob)return{[M]:r instanceof File?"File":"Blob",type:r.type,name:r instanceof File?r.name:null,data:Oe(new Uint8Array(await r.arrayBuffer()))};if(r instanceof Map){let a=[];for(let[c,g]of r)a.push([await oe(c),await oe(g)]);return{[M]:"Map",entries:a}}if(r instanceof Set){let a=[];for(let c of r)a.push(await oe(c));return{[M]:"Set",values:a}}if(Array.isArray(r)){let a=[];for(let c of r)a.push(await oe(c));return a}let i={};for(let[a,c]of Object.entries(r))i[a]=await oe(c);return M in i?{[M]:"Object",value:i}:i}function ee(r){if(r===null||typeof r!="object")return r;if(Array.isArray(r))return r.map(ee);let i=r[M];if(typeof i!="string")return Object.fromEntries(Object.entries(r).map(([a,c])=>[a,ee(c)]));switch(i){case"undefined":return;case"Number":return Number(r.value);case"BigInt":return BigInt(r.value);case"Date":return new Date(r.value);case"ArrayBuffer":return le(r.data).buffer;case"DataView":return new DataView(le(r.data).buffer);case"Blob":return new Blob([le(r.data)],{type:r.type});case"File":return new File([le(r.data)],r.name,{type:r.type});case"Map":return new Map(r.entries.map(([a,c])=>[ee(a),ee(c)]));case"Set":return new Set(r.values.map(ee));case"Object":{let a=r.value;return Object.fromEntries(Object.entries(a).map(([c,g])=>[c,ee(g)]))}default:{let a=Tt[i];if(!a)throw new Error(`Unknown encoded type ${i}`);return new a(le(r.data).buffer)}}}function At(r){let i=3735928559,a=1103547991;for(let c=0;c<r.length;c++){let g=r.charCodeAt(c);i=Math.imul(i^g,2654435761),a=Math.imul(a^g,1597334677)}return i=Math.imul(i^i>>>16,2246822507)^Math.imul(a^a>>>13,3266489909),a=Math.imul(a^a>>>16,2246822507)^Math.imul(i^i>>>13,3266489909),(4294967296*(2097151&a)+(i>>>0)).toString(36)}function Xe(r){return new Promise((i,a)=>{r.onsuccess=()=>i(r.result),r.onerror=()=>a(r.error)})}function Ze(r,i,a,c){return new Promise((g,f)=>{let p=c===void 0?r.open(i):r.open(i,c);p.onupgradeneeded=()=>a?.(p.result),p.onsuccess=()=>g(p.result),p.onerror=()=>f(p.error),p.onblocked=()=>f(new Error(`Opening ${i} is blocked by another connection`))})}function Dt(r,i){return new Promise((a,c)=>{let g=r.deleteDatabase(i);g.onsuccess=()=>a(),g.onerror=()=>c(g.error),g.onblocked=()=>c(new Error(`Deleting ${i} is blocked by another connection`))})}async function Rt(r,i,a){let c=await Ze(r,i);try{let g=[];for(let f of Array.from(c.objectStoreNames)){let p=c.transaction(f,"readonly").objectStore(f),[$,P]=await Promise.all([Xe(p.getAllKeys()),Xe(p.getAll())]),x=[];for(let k=0;k<$.length;k++)x.push({key:await oe($[k]),value:await oe(P[k])});g.push({name:f,keyPath:p.keyPath,autoIncrement:p.autoIncrement,indexes:Array.from(p.indexNames).map(k=>{let b=p.index(k);return{name:k,keyPath:b.keyPath,unique:b.unique,multiEntry:b.multiEntry}}),records:x})}return{name:a,version:c.version,stores:g}}finally{c.close()}}function Be(r,i){let a=`${r}_`,c={},g=[];for(let f=0;f<i.length;f++){let p=i.key(f);p?.startsWith(a)&&g.push(p)}for(let f of g.sort())c[f.slice(a.length)]=i.getItem(f);return c}async function et(r,i,a,c,g=Be(i,a)){let f=`${i}_`,p=[],$=(await c.databases()).map(x=>x.name).filter(x=>!!x?.startsWith(f)).sort();for(let x of $)p.push(await Rt(c,x,x.slice(f.length)));let P={localStorage:g,indexedDB:p};return{version:1,gameID:r,savedAt:Date.now(),hash:At(JSON.stringify(P)),...P}}function tt(r){return Object.keys(r.localStorage).length===0&&r.indexedDB.length===0}async function nt(r,i,a,c){let g=`${i}_`;for(let f=a.length-1;f>=0;f--){let p=a.key(f);p?.startsWith(g)&&a.removeItem(p)}for(let[f,p]of Object.entries(r.localStorage))a.setItem(g+f,p);for(let f of await c.databases())f.name?.startsWith(g)&&await Dt(c,f.name);for(let f of r.indexedDB){let p=await Ze(c,g+f.name,$=>{for(let P of f.stores){let x=$.createObjectStore(P.name,{keyPath:P.keyPath,autoIncrement:P.autoIncrement});for(let k of P.indexes)x.createIndex(k.name,k.keyPath,{unique:k.unique,multiEntry:k.multiEntry})}},f.version);try{if(f.stores.length===0)continue;let $=p.transaction(f.stores.map(P=>P.name),"readwrite");for(let P of f.stores){let x=$.objectStore(P.name);for(let k of P.records){let b=ee(k.value);P.keyPath===null?x.put(b,ee(k.key)):x.put(b)}}await new Promise((P,x)=>{$.oncomplete=()=>P(),$.onerror=()=>x($.error),$.onabort=()=>x($.error)})}finally{p.close()}}}function rt(r,i,a){return i?i.hash===r.hash?"none":r.empty||r.hash===a?"download":i.hash===a?"upload":"conflict":r.empty?"none":"upload"}window.ccPorted=window.ccPorted||{};(()=>{let r="https://us-west-2lg1qptg2n.auth.us-west-2.amazoncognito.com",i="4d6esoka62s46lo4d398o3sqpi",a=`${window.location.origin}`,c=pt(window.gameID||window.ccPorted.gameID),g=ht(),f=window.localStorage,p=window.indexedDB,P=/\/(game_\w+)\//.exec(window.location.pathname),x=g&&document.location.ancestorOrigins.length>0?new URL(document.location.ancestorOrigins[0]).origin:null,k=typeof window.ccPorted.gameID<"u"&&window.ccPorted.gameID!="undefined"?window.ccPorted.gameID:window.gameID||(P?P[1]:"Unknown Game"),b=g?Ne({tag:`[${k}][bridge]`,peer:()=>window.parent,peerOrigin:()=>x||"*",acceptOrigin:n=>!x||n===x,handlers:{clearCache:ue,cacheStatus:async()=>({active:!!(await navigator.serviceWorker?.getRegistration())?.active,size:null})}}):null;b&&(b.on("tokens",n=>{if(!n){St();return}Ve(n);let e=window.ccPorted.AWS?.config.credentials?.params?.Logins,t="cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n";e&&e[t]&&e[t]!==n.idToken&&(e[t]=n.idToken,me().catch(o=>console.error("Couldn't refresh AWS credentials:",o)))}),b.handshake().catch(n=>{console.log("Play page did not answer hello, it may predate the bridge:",n.message)})),"serviceWorker"in navigator?window.addEventListener("load",()=>{navigator.serviceWorker.register("/game_worker.js",{scope:"/"}).then(n=>{console.log("Game service worker registered:",n),b?.emit("cacheEnabled",null)}).catch(n=>{console.error("Service worker registration failed:",n)})}):console.warn("Service workers are not supported in this browser.");function ue(){if(!navigator.serviceWorker?.controller)return null;let n=new MessageChannel;return n.port1.onmessage=e=>{console.log("Cache cleared:",e.data)},navigator.serviceWorker.controller.postMessage({action:"CLEAR_CACHE"},[n.port2]),null}function u(n){try{return new URL(n,window.location.href).origin===window.location.origin}catch{return!1}}if(b){window.addEventListener("load",()=>b.emit("gameLoaded",null)),window.addEventListener("error",e=>{let t=e.target;if(!t||t===window)return;let o=t.currentSrc||t.src||t.href;o&&u(o)&&b.emit("assetError",{url:o})},!0);let n=window.fetch;window.fetch=async function(...e){let t=e[0]instanceof Request?e[0].url:String(e[0]);try{let o=await n.apply(this,e);return o.status>=500&&u(t)&&b.emit("assetError",{url:t,status:o.status}),o}catch(o){throw o.name!=="AbortError"&&u(t)&&b.emit("assetError",{url:t,error:o.message}),o}}}let w=!1;function h(n,e){if(!b){T(`ccPorted.events.${n} ignored, not running inside CCPorted`);return}b.emit(n,e)}window.ccPorted.events={achievementUnlocked(n,e={}){if(typeof n!="string"||!n)throw new Error("Achievement ID is required");h("achievementUnlocked",{id:n,name:e.name,description:e.description})},levelReached(n,e={}){if(typeof n!="number"&&typeof n!="string")throw new Error("Level must be a number or string");h("levelReached",{level:n,name:e.name})},sessionStart(){w=!0,h("sessionStart",null)},sessionEnd(){w&&(w=!1,h("sessionEnd",null))}},window.addEventListener("pagehide",()=>window.ccPorted.events.sessionEnd());let R=window.ccPorted.scoreApi||"https://z67jfipy20.execute-api.us-west-2.amazonaws.com/prod/scores",m={};async function O(n,e){let t=await fetch(`${R}/${n}`,{method:"POST",headers:{"Content-Type":"application/json",Authorization:`Bearer ${localStorage.getItem("[ns_ccported]_idToken")}`},body:JSON.stringify(e)}),o=await t.json().catch(()=>({}));if(!t.ok&&o.accepted!==!1)throw new Error(o.error||`Score API answered ${t.status}`);return o}function A(n){m[n]=O("session",{gameID:n}).then(e=>e.session),m[n].catch(e=>{console.error("[LEADERBOARD] Couldn't start a score session",e),delete m[n]})}async function be(n,e,t){return m[n]||A(n),O("submit",{session:await m[n],board:e,score:t})}class ce{constructor(e,t={}){if(!e)throw new Error("Game ID is required");this.gameID=e,this.board=t.board||Ae.id,this.order=t.order==="asc"?"asc":"desc",this.cached=[],this.loading=!1,this.needsRefresh=!1,this.score=0}compareScores(e,t){return this.order==="asc"?e-t:t-e}async loadScores(e="all"){if(e!==this.cachedPeriod&&(this.cached=[],this.cachedPeriod=e),this.loading&&this.cached.length>0)return this.cached;if(this.cached.length>0&&!this.needsRefresh)return this.cached;await window.ccPorted.awsPromise,this.loading=!0;try{let s=await window.ccPorted.query({TableName:"leaderboard",IndexName:"gameID-score-index",Limit:10,ScanIndexForward:this.order==="asc",KeyConditionExpression:"gameID = :gameID AND score > :score",ExpressionAttributeValues:{":gameID":Ge(this.gameID,this.board,e),":score":0}});this.loading=!1;var t=!1,o=s.Items.map((l,S)=>((l.userID=="guest"||l.userID==window.ccPorted?.user?.sub)&&(t=!0),{score:l.score,id:l.userID,display_name:l.displayName,rank:S+1}));return this.guestScore!=null&&(o.push({score:this.guestScore,display_name:"Guest",userID:"guest"}),o.sort((l,S)=>this.compareScores(l.score,S.score))),this.cached=o,this.needsRefresh=!1,o}catch(s){console.log("[LEADERBOARD] Error getting scores",s)}}addGuestScore(e){this.guestScore=e,this.cached.length>0&&(this.cached.push({score:e,display_name:"Guest",userID:"guest"}),this.cached.sort((t,o)=>this.compareScores(t.score,o.score)))}formatScore(e){return e<1e3?e:e<1e6?(e/1e3).toFixed(2)+"K":e<1e9?(e/1e6).toFixed(2)+"M":e<1e12?(e/1e9).toFixed(2)+"B":e<1e15?(e/1e12).toFixed(2)+"T":e<1e18?(e/1e15).toFixed(2)+"Q":e<1e21?(e/1e18).toFixed(2)+"QQ":e<1e24?(e/1e21).toFixed(2)+"S":e<1e27?(e/1e24).toFixed(2)+"SS":e<1e30?(e/1e27).toFixed(2)+"O":e<1e33?(e/1e30).toFixed(2)+"N":e/1e33?(e/1e33).toFixed(2)+"D":e.toExponential(2)}async addScore(e){if(T("adding score"),!window.ccPorted.user)return this.addGuestScore(e);let t=window.ccPorted.user.attributes.preferred_username||window.ccPorted.user["cognito:username"]||"Anonymous",o;try{o=await be(this.gameID,this.board,e)}catch(s){console.error("[LEADERBOARD] Error submitting score",s);return}if(!o.accepted){T(`Score rejected: ${o.reason}`);return}if(o.improved.length===0){T("Old score is better"),this.score={score:e,userID:window.ccPorted.user.sub,displayName:t};return}T("Score updated"),this.needsRefresh=!0}clearCache(){this.cached=[]}}window.ccPorted.Leaderboard=ce,window.ccPorted.getUserTokens=()=>({accessToken:localStorage.getItem("[ns_ccported]_accessToken"),idToken:localStorage.getItem("[ns_ccported]_idToken"),refreshToken:localStorage.getItem("[ns_ccported]_refreshToken")}),window.ccPorted.downloadFile=async n=>(await window.ccPorted.awsPromise,new Promise((e,t)=>{window.ccPorted.s3Client.getObject({Bucket:"ccporteduserobjects",Key:`${window.ccPorted.user.sub}/${n}`},(o,s)=>{o?t(o):e(s)})})),window.ccPorted.uploadFile=async(n,e,t={})=>(await window.ccPorted.awsPromise,new Promise((o,s)=>{let l={Bucket:"ccporteduserobjects",Key:`${window.ccPorted.user.sub}/${e}`,Body:n,ContentType:n.type,PartSize:5242880,QueueSize:10,...t};window.ccPorted.s3Client.upload(l,(S,C)=>{S?s(S):o(C)})}));let fe=[];async function te(){if(await window.ccPorted.awsPromise,!window.ccPorted.user)throw new Error("Log in to use cloud saves");return{s3:window.ccPorted.s3Client,sub:window.ccPorted.user.sub}}async function Ce(n,e){let t=[],o;do{let s=await n.listObjectsV2({Bucket:"ccporteduserobjects",Prefix:e,ContinuationToken:o}).promise();t.push(...s.Contents),o=s.NextContinuationToken}while(o);return t}async function ge(n,e){let t=_e(e,k);return Je(await Ce(n,t),t)}async function ke(n,e){return{used:(await Ce(n,_e(e))).reduce((o,s)=>o+s.Size,0),limit:52428800}}async function je(n,e,t){let o=(await ge(n,e)).find(l=>l.slot===t),s=o?Qe(o):[];s.length!==0&&await n.deleteObjects({Bucket:"ccporteduserobjects",Delete:{Objects:s.map(l=>({Key:l.key}))}}).promise()}async function qe(n,e,t,o){let s=(await ge(n,e)).find(l=>l.slot===t);return s?o===void 0?s.versions[0]:s.versions.find(l=>l.savedAt===o)||null:null}window.ccPorted.saves={async list(){let{s3:n,sub:e}=await te();return ge(n,e)},async quota(){let{s3:n,sub:e}=await te();return ke(n,e)},async save(n=De,e){if(!Ye(n))throw new Error("Slot names are up to 64 letters, digits, spaces, - or _");let{s3:t,sub:o}=await te(),s=typeof e=="string"?new TextEncoder().encode(e):e,l=s.size??s.byteLength,S=await ke(t,o);if(S.used+l>S.limit)throw new Error("Not enough cloud save space left");let C=Date.now(),y=Re(o,k,n,C);return await t.putObject({Bucket:"ccporteduserobjects",Key:y,Body:s,ContentType:"application/octet-stream"}).promise(),await je(t,o,n),{key:y,savedAt:C,size:l}},async load(n=De,e){let{s3:t,sub:o}=await te(),s=await qe(t,o,n,e);return s?(await t.getObject({Bucket:"ccporteduserobjects",Key:s.key}).promise()).Body:null},async restore(n,e){let{s3:t,sub:o}=await te(),s=await qe(t,o,n,e);if(!s)throw new Error(`No version ${e} of ${n}`);let l=await ke(t,o);if(l.used+s.size>l.limit)throw new Error("Not enough cloud save space left");let S=Date.now(),C=Re(o,k,n,S);return await t.copyObject({Bucket:"ccporteduserobjects",CopySource:`ccporteduserobjects/${encodeURIComponent(s.key)}`,Key:C}).promise(),await je(t,o,n),{key:C,savedAt:S,size:s.size}},async delete(n){let{s3:e,sub:t}=await te(),o=(await ge(e,t)).find(s=>s.slot===n);o&&await e.deleteObjects({Bucket:"ccporteduserobjects",Delete:{Objects:o.versions.map(s=>({Key:s.key}))}}).promise()},onChange(n){fe.push(n)}},b?.on("savesChanged",({slot:n})=>{for(let e of fe)e(n)});let ot=60*1e3,st=15*1e3,at=20*1024*1024,se=window.gameID||"ccported",Ee=`[ns_${se}]`,we=!!b&&se!=="ccported",it=we?Be(Ee,f):null,ae=we,Ie=!1,pe=()=>{},Le=new Promise(n=>{pe=()=>{ae=!1,n()}});we||pe();let Ue=`[ns_ccported]_storageSync_${se}`,Me=`[ns_ccported]_storageSyncRestored_${se}`,ve=null,de=null,We=!1;function ct(n){try{let e=JSON.parse(f.getItem(Ue));if(e&&e.sub===n)return e}catch{}return{sub:n,lastSyncedHash:null,localHash:null,localModifiedAt:0}}function he(n){f.setItem(Ue,JSON.stringify(n))}function Pe(n){return`${n}/sync/${se}.json`}async function dt(n,e){try{let t=await n.headObject({Bucket:"ccporteduserobjects",Key:Pe(e)}).promise();return{hash:t.Metadata.hash,savedAt:Number(t.Metadata.savedat)}}catch(t){if(t.code==="NotFound"||t.code==="NoSuchKey")return null;throw t}}async function lt(n,e,t){let o=JSON.stringify(t);return o.length>at?(T(`Storage snapshot is ${o.length} bytes, too big to sync`),!1):(await n.putObject({Bucket:"ccporteduserobjects",Key:Pe(e),Body:o,ContentType:"application/json",Metadata:{hash:t.hash,savedat:String(t.savedAt)}}).promise(),!0)}function ut(n,e){return new Promise(t=>{let o=S=>S?new Date(S).toLocaleString():"an unknown time",s=n>e?"local":"cloud",l=document.createElement("div");l.style.cssText="position:fixed;inset:0;z-index:2147483647;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.6);font-family:Arial,sans-serif",l.innerHTML=`
+                <div style="max-width:360px;padding:20px;border-radius:8px;background:#fff;color:#222;text-align:center">
+                    <h3 style="margin-top:0">Which save should we keep?</h3>
+                    <p>This game's progress changed on this device and on another one since they last synced.</p>
+                    <p>This device: ${o(n)}<br>Cloud: ${o(e)}</p>
+                    <button data-choice="local">Keep this device's${s==="local"?" (newer)":""}</button>
+                    <button data-choice="cloud">Keep the cloud's${s==="cloud"?" (newer)":""}</button>
+                </div>`;for(let S of l.querySelectorAll("button"))S.style.cssText=`margin:4px;padding:8px 12px;border:none;border-radius:4px;cursor:pointer;color:#fff;background:${S.dataset.choice===s?"#007bff":"#6c757d"}`,S.addEventListener("click",()=>{l.remove(),t(S.dataset.choice)});(document.body||document.documentElement).appendChild(l)})}async function ft(n,e,t){let o=await n.getObject({Bucket:"ccporteduserobjects",Key:Pe(e)}).promise(),s=JSON.parse(new TextDecoder().decode(o.Body));await nt(s,Ee,f,p),he({...t,lastSyncedHash:s.hash,localHash:s.hash,localModifiedAt:s.savedAt}),T("Restored storage from the cloud");let l=Number(sessionStorage.getItem(Me));(!l||Date.now()-l>30*1e3)&&(sessionStorage.setItem(Me,String(Date.now())),location.reload())}async function gt(){let{s3:n,sub:e}=await te(),t=ct(e),o=await et(se,Ee,f,p,ae?it:void 0);o.hash!==t.localHash&&(t.localModifiedAt=t.localHash===null?0:o.savedAt,t.localHash=o.hash,he(t));let s=await dt(n,e),l=rt({hash:o.hash,empty:tt(o)},s,t.lastSyncedHash);if((l==="download"||l==="conflict")&&!ae){T(`Storage sync: ${l}, left for the next start`);return}Ie=!0;try{if(l==="conflict"&&(l=await ut(t.localModifiedAt,s.savedAt)==="local"?"upload":"download"),T(`Storage sync: ${l}`),l==="download"){await ft(n,e,t);return}}finally{Ie=!1}l==="upload"?(o.savedAt=t.localModifiedAt||o.savedAt,await lt(n,e,o)&&he({...t,lastSyncedHash:o.hash})):s&&he({...t,lastSyncedHash:o.hash})}function xe(){return!We||de||(de=gt().catch(n=>console.error("[storageSync] Sync failed",n)).finally(()=>{de=null})),de}function $e(n){if(We=n,clearInterval(ve),ve=null,!n)return;let e=xe();return ve=setInterval(xe,ot),e}async function wt(){if(!we)return;let n=setTimeout(function e(){ae&&(Ie?setTimeout(e,1e3):(T("Start-up storage sync is taking too long, starting the game"),pe()))},st);try{b.on("storageSyncChanged",({enabled:t})=>$e(t));let e=await b.request("storageSyncEnabled",null).catch(()=>!1);await window.ccPorted.awsPromise,e&&window.ccPorted.user&&await $e(!0)}catch(e){console.error("[storageSync] Start-up sync failed",e)}finally{clearTimeout(n),pe()}}document.addEventListener("visibilitychange",()=>{document.visibilityState==="hidden"&&xe()}),wt(),window.ccPorted.updateUser=async n=>(await window.ccPorted.awsPromise,new Promise((e,t)=>{window.ccPorted.identityProvider.updateUserAttributes({AccessToken:window.ccPorted.getUserTokens().accessToken,UserAttributes:Object.entries(n).map(([o,s])=>({Name:o,Value:s}))},(o,s)=>{o?t(o):e(s)})})),window.ccPorted.query=async(...n)=>{await window.ccPorted.awsPromise;let[e,t,o,s]=n;return typeof e=="object"?new Promise((l,S)=>{window.ccPorted.documentClient.query(e,(C,y)=>{C?S(C):l(y)})}):new Promise((l,S)=>{let C={TableName:o,KeyConditionExpression:`${e} = :partitionKey`,ExpressionAttributeValues:{":partitionKey":t},...s};window.ccPorted.documentClient.query(C,(y,_)=>{y?S(y):l(_)})})},window.ccPorted.getUser=()=>window.ccPorted.user?user:window.ccPorted.userPromise,window.ccPorted.awsPromise=new Promise(async(n,e)=>{try{await bt(),n(window.ccPorted)}catch(t){e(t)}}),window.ccPorted.userPromise=new Promise(async(n,e)=>{await window.ccPorted.awsPromise;let t=window.ccPorted.user;if(t){let o=document.querySelector(".loggedInReplacable");o&&(o.textContent=t["cognito:username"],o.href="/profile/"),n(t)}else console.log("No user data found, returning null"),n(null)});function T(...n){console.log(`[${k}]: `,...n)}function pt(n){return n?n.split(".").join("-"):null}function ht(){try{return window.self!==window.top}catch{return!0}}function Bt(n,e){T(`Creating shortcut for keys ${n}, calling ${e.name}`);var t={};for(let s of n)t[s]=!1;document.addEventListener("keydown",s=>{t[s.which]!==void 0&&(t[s.which]=!0),o()&&e()}),document.addEventListener("keyup",s=>{t[s.which]!==void 0&&(t[s.which]=!1)});function o(){var s=!0;for(let l of n)t[l]||(s=!1);return s}}function me(){return new Promise((n,e)=>{AWS.config.credentials.expired=!0,AWS.config.credentials.refresh(t=>{t?(e(t),T("Failed to refresh credentials:",t)):(T("Credentials refreshed successfully"),n())})})}function Ke(n){try{let t=n.split(".")[1].replace(/-/g,"+").replace(/_/g,"/");return JSON.parse(atob(t))}catch(e){return console.error("Invalid JWT token:",e),null}}function mt(n){if(!n||!n.exp)return!0;let e=n.exp*1e3;return Date.now()>=e}function Fe(n){let e=new EventTarget,t=null;for(let o of["success","error","upgradeneeded","blocked"]){let s=null;Object.defineProperty(e,`on${o}`,{get:()=>s,set:l=>{s=l}}),e.addEventListener(o,l=>s?.call(e,l))}for(let o of["result","error","source","transaction"])Object.defineProperty(e,o,{get:()=>t?t[o]:null});return Object.defineProperty(e,"readyState",{get:()=>t?t.readyState:"pending"}),Le.then(()=>{t=n();for(let o of["success","error","blocked"])t.addEventListener(o,()=>e.dispatchEvent(new Event(o)));t.addEventListener("upgradeneeded",o=>e.dispatchEvent(new IDBVersionChangeEvent("upgradeneeded",{oldVersion:o.oldVersion,newVersion:o.newVersion})))}),e}function yt(n="ccported"){let e=`[ns_${n}]`,t=window.localStorage,o=window.indexedDB,s=new RegExp("^[ns_[a-zA-Z0-9_-]+]_"),l=new Proxy(localStorage,{get:function(y,_){switch(_){case"setItem":return function(d,D,q=!1){return q?t.setItem("[ns_ccported]_"+d,D):t.getItem(`[ns_ccported]_${d}`)?t.setItem(`[ns_ccported]_${d}`,D):t.getItem(`${e}_${d}`)?t.setItem(`${e}_${d}`,D):s.test(d)?t.setItem(d,D):t.setItem(`${e}_${d}`,D)};case"getItem":return function(d){return t.getItem(`[ns_ccported]_${d}`)?t.getItem(`[ns_ccported]_${d}`):t.getItem(`${e}_${d}`)?t.getItem(`${e}_${d}`):s.test(d)?t.getItem(d):t.getItem(`${e}_${d}`)};case"removeItem":return function(d){if(t.getItem(`[ns_ccported]_${d}`))return t.removeItem(`[ns_ccported]_${d}`);if(t.getItem(`${e}_${d}`))return t.removeItem(`${e}_${d}`);if(s.test(d))return t.removeItem(d)};case"clear":return function(d=!1){if(d)return t.clear();for(let D=t.length-1;D>=0;D--){let q=t.key(D);q.startsWith(`${e}_`)&&t.removeItem(q)}};case"key":return function(d,D=!1){if(D)return t.key(d);let q=[];for(let B=0;B<t.length;B++){let ne=t.key(B);ne.startsWith(`${e}_`)&&q.push(ne.slice(e.length+1))}return q[d]};case"length":let E=0;for(let d=0;d<t.length;d++)t.key(d).startsWith(`${e}_`)&&E++;return E;case"globalLength":return t.length;default:if(t.getItem(`[ns_ccported]_${_}`))return t.getItem(`[ns_ccported]_${_}`);if(t.getItem(`${e}_${_}`))return t.getItem(`${e}_${_}`);if(s.test(_))return t.getItem(_)}},set:function(y,_,E){return["getItem","setItem","removeItem","clear","key","length","globalLength"].forEach(d=>{if(_===d)throw new Error(`Cannot overwrite localStorage method ${d}`)}),t.getItem(`[ns_ccported]_${_}`)?t.setItem(`[ns_ccported]_${_}`,E):t.getItem(`${e}_${_}`)?t.setItem(`${e}_${_}`,E):s.test(_)?t.setItem(_,E):t.setItem(`${e}_${_}`,E)}}),S=new Proxy(window.indexedDB,{get:function(y,_){if(_==="open")return function E(d,D){if(ae)return Fe(()=>E(d,D));if(s.test(d)||d.startsWith("[ns_ccported]_"))return o.open(d,D);let B=`${e}_${d}`,ne=async()=>{try{let H=(await o.databases()).some(J=>J.name===d);return console.log(`Checking for database '${d}': ${H}`),H}catch(re){return console.error("Error checking databases:",re),!1}},Y=o.open(B,D);return Y.onerror=function(re){console.error(`Error opening database ${B}:`,re.target.error)},Y.onupgradeneeded=function(re){console.log(`Upgrade needed for ${B}`);let H=re.target.result;ne().then(J=>{if(J){console.log(`Found old database '${d}', initiating transfer`);let Q=o.open(d);Q.onerror=function(N){console.error(`Error opening old database ${d}:`,N.target.error)},Q.onsuccess=function(N){let X=N.target.result;console.log(`Successfully opened old database '${d}'`),console.log("Object stores found:",Array.from(X.objectStoreNames));let Z=Array.from(X.objectStoreNames);if(Z.length===0){console.log(`No object stores found in old database '${d}'`),X.close();return}Z.forEach(I=>{console.log(`Transferring object store: ${I}`);try{let K=X.transaction(I,"readonly"),v=K.objectStore(I),L=v.getAll();L.onsuccess=function(){try{if(!H.objectStoreNames.contains(I)){console.log(`Creating new object store: ${I}`);let G=H.createObjectStore(I,v.keyPath?{keyPath:v.keyPath}:{autoIncrement:v.autoIncrement});Array.from(v.indexNames).forEach(ie=>{let W=v.index(ie);G.createIndex(ie,W.keyPath,{unique:W.unique,multiEntry:W.multiEntry})})}let U=H.transaction(I,"readwrite"),F=U.objectStore(I),j=L.result;console.log(`Transferring ${j.length} items for store ${I}`),j.forEach(G=>{try{F.add(G)}catch(ie){console.error(`Error adding item to ${I}:`,ie)}}),U.oncomplete=function(){console.log(`Completed transfer for store: ${I}`)},U.onerror=function(G){console.error(`Error in transfer transaction for ${I}:`,G.target.error)}}catch(U){console.error(`Error processing store ${I}:`,U)}},L.onerror=function(U){console.error(`Error getting data from ${I}:`,U.target.error)},K.oncomplete=function(){if(console.log(`Old database transaction complete for: ${I}`),I===Z[Z.length-1]){X.close();let U=o.deleteDatabase(d);U.onsuccess=function(){console.log(`Successfully deleted old database: ${d}`)},U.onerror=function(F){console.error(`Error deleting old database ${d}:`,F.target.error)}}}}catch(K){console.error(`Error in store transfer process for ${I}:`,K)}})}}else console.log(`No old database found for '${d}'`)})},Y};if(_==="deleteDatabase")return function E(d){if(ae)return Fe(()=>E(d));if(s.test(d))return o.deleteDatabase(d);let D=`${e}_${d}`;return o.deleteDatabase(D)};if(_==="databases")return async function(){return await Le,(await o.databases()).map(d=>(d.name=d.name.replace(e+"_",""),d))};{let E=o[_];return typeof E=="function"?E.bind(o):E}}});async function C(y,_){let E=`${e}_${y}`;return(await o.databases()).some(q=>q.name===y)?(console.log(`Manually migrating database: ${y}`),new Promise((q,B)=>{let ne=o.open(E,_||1);ne.onerror=function(Y){console.error(`Error opening namespaced database ${E}:`,Y.target.error),B(Y.target.error)},ne.onsuccess=function(Y){let re=Y.target.result;console.log(`Successfully opened namespaced database '${E}'`);let H=o.open(y);H.onerror=function(J){console.error(`Error opening old database ${y}:`,J.target.error),B(J.target.error)},H.onsuccess=function(J){let Q=J.target.result;console.log(`Successfully opened old database '${y}'`);let N=Array.from(Q.objectStoreNames);if(console.log("Object stores found:",N),N.length===0){console.log(`No object stores found in old database '${y}'`),Q.close(),q();return}let X=0,Z=o.open(E,(_||1)+1);Z.onupgradeneeded=function(I){let K=I.target.result;N.forEach(v=>{if(!K.objectStoreNames.contains(v)){let L=Q.transaction(v).objectStore(v),U=K.createObjectStore(v,L.keyPath?{keyPath:L.keyPath}:{autoIncrement:L.autoIncrement});Array.from(L.indexNames).forEach(F=>{let j=L.index(F);U.createIndex(F,j.keyPath,{unique:j.unique,multiEntry:j.multiEntry})})}})},Z.onsuccess=function(I){let K=I.target.result;N.forEach(v=>{console.log(`Transferring object store: ${v}`);try{let F=Q.transaction(v,"readonly").objectStore(v).getAll();F.onsuccess=function(){try{let j=F.result;console.log(`Transferring ${j.length} items for store ${v}`);let G=K.transaction(v,"readwrite"),ie=G.objectStore(v);j.forEach(W=>{try{ie.add(W)}catch(ye){console.error(`Error adding item to ${v}:`,ye)}}),G.oncomplete=function(){if(console.log(`Completed transfer for store: ${v}`),X++,X===N.length){console.log("All stores transferred successfully"),Q.close(),K.close();let W=o.deleteDatabase(y);W.onsuccess=function(){console.log(`Successfully deleted old database: ${y}`),q()},W.onerror=function(ye){console.error(`Error deleting old database ${y}:`,ye.target.error),B(ye.target.error)}}},G.onerror=function(W){console.error(`Error in transfer transaction for ${v}:`,W.target.error),B(W.target.error)}}catch(j){console.error(`Error processing store ${v}:`,j),B(j)}},F.onerror=function(j){console.error(`Error getting data from ${v}:`,j.target.error),B(j.target.error)}}catch(L){console.error(`Error in store transfer process for ${v}:`,L),B(L)}})},Z.onerror=function(I){console.error(`Error upgrading database ${E}:`,I.target.error),B(I.target.error)}}}})):(console.log(`No old database found for '${y}'`),Promise.resolve())}return function(){Object.defineProperty(window,"localStorage",{value:l,writable:!1,configurable:!0}),Object.defineProperty(window,"indexedDB",{value:S,writable:!1,configurable:!0}),window.ccPorted.migrateDatabase=C}}function Ve(n){localStorage.setItem("[ns_ccported]_accessToken",n.accessToken),localStorage.setItem("[ns_ccported]_idToken",n.idToken),localStorage.setItem("[ns_ccported]_refreshToken",n.refreshToken)}function ze(){localStorage.removeItem("[ns_ccported]_accessToken"),localStorage.removeItem("[ns_ccported]_idToken"),localStorage.removeItem("[ns_ccported]_refreshToken")}function St(){ze(),window.ccPorted.user=null,$e(!1);for(let t in m)delete m[t];let n=window.ccPorted.AWS?.config.credentials,e="cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n";n?.params?.Logins?.[e]&&(delete n.params.Logins[e],n.clearCachedId(),me().catch(t=>console.error("Couldn't switch to guest credentials:",t))),T("Signed out")}async function _t(n=5e3){if(!b)return null;let e=await b.request("getTokens",null,n);return e?Ve(e):(ze(),console.log("No user found in parent, initializing unauthenticated.")),e}async function Ct(){return AWS.config.credentials=new AWS.CognitoIdentityCredentials({IdentityPoolId:"us-west-2:8ffe94a1-9042-4509-8e65-4efe16e61e3e"}),await me(),T("Configured AWS SDK with unauthenticated credentials"),null}async function z(n,e,t){let o=Ke(n);if(mt(o)){T("ID token expired, attempting refresh...");let y=await Et(t);if(!y)return console.error("Failed to refresh token. User must log in again."),z();o=Ke(y.id_token)}AWS.config.credentials=new AWS.CognitoIdentityCredentials({IdentityPoolId:"us-west-2:8ffe94a1-9042-4509-8e65-4efe16e61e3e",RoleSessionName:o.sub});let s="cognito-idp.us-west-2.amazonaws.com/us-west-2_lg1qptg2n";AWS.config.credentials.params.Logins=AWS.config.credentials.params.Logins||{},AWS.config.credentials.params.Logins[s]=n,await me();let l=await window.ccPorted.identityProvider.getUser({AccessToken:e}).promise();T("User attributes recieved");let S=l.UserAttributes.reduce((y,{Name:_,Value:E})=>(y[_]=E,y),{});return{...o,attributes:S}}async function bt(){var n=null;if(window.ccPorted.awsReady=!1,typeof AWS>"u"){T("AWS SDK not loaded, loading...");let e=document.createElement("script");e.src="https://sdk.amazonaws.com/js/aws-sdk-2.1030.0.min.js",document.head.appendChild(e),await new Promise((t,o)=>{T("Waiting for AWS SDK to load..."),e.onload=t}),T("AWS SDK loaded")}if(window.ccPorted.AWS=AWS,AWS.config.update({region:"us-west-2"}),window.ccPorted.identityProvider=new AWS.CognitoIdentityServiceProvider({region:"us-west-2"}),g)try{let e=await _t();if(!e||e==null)console.warn("No tokens received from parent. Initializing unauthenticated."),n=await z();else{let{idToken:t,accessToken:o,refreshToken:s}=e;!t||!o?(console.log("Invalid tokens received, initializing unauthenticated."),n=await z()):n=await z(t,o,s)}}catch(e){console.error("Authentication error:",e.message),n=await z()}else{let e=localStorage.getItem("[ns_ccported]_idToken"),t=localStorage.getItem("[ns_ccported]_accessToken"),o=localStorage.getItem("[ns_ccported]_refreshToken");if(!e||!t){console.warn("No valid tokens found. Checking for auth code...");let s=new URLSearchParams(window.location.search).get("code");if(s){console.log("Auth code found. Exchanging for tokens...");let l=await kt(s);l?(e=l.id_token,t=l.access_token,o=l.refresh_token,n=await z(e,t,o)):(console.error("Failed to exchange auth code for tokens."),n=await z())}else console.warn("No auth code found in URL. User may need to log in."),n=await z()}else T("Tokens found. Initializing user..."),n=await z(e,t,o)}window.ccPorted.s3Client=new AWS.S3({region:"us-west-2"}),window.ccPorted.documentClient=new AWS.DynamoDB.DocumentClient({region:"us-west-2"}),window.ccPorted.awsReady=!0,window.ccPorted.user=n,window.ccPorted.getUser=()=>window.ccPorted.user,n&&P&&A(k)}async function kt(n){try{let t=await(await fetch(`${r}/oauth2/token`,{method:"POST",headers:{"Content-Type":"application/x-www-form-urlencoded"},body:new URLSearchParams({grant_type:"authorization_code",client_id:i,redirect_uri:a,code:n})})).json();if(t.error)throw new Error(t.error_description||"Failed to exchange auth code");return localStorage.setItem("[ns_ccported]_accessToken",t.access_token),localStorage.setItem("[ns_ccported]_idToken",t.id_token),localStorage.setItem("[ns_ccported]_refreshToken",t.refresh_token),window.history.replaceState({},document.title,a),t}catch(e){return console.error("Error exchanging auth code:",e),null}}async function Et(n){if(!n)return console.warn("No refresh token available."),null;try{let t=await(await fetch(`${r}/oauth2/token`,{method:"POST",headers:{"Content-Type":"application/x-www-form-urlencoded"},body:new URLSearchParams({grant_type:"refresh_token",client_id:i,refresh_token:n})})).json();if(t.error)throw new Error(t.error||"Token refresh failed");return localStorage.setItem("[ns_ccported]_accessToken",t.access_token),localStorage.setItem("[ns_ccported]_idToken",t.id_token),console.log("Tokens refreshed successfully"),t}catch(e){return console.error("Error refreshing token:",e),null}}(!window.ccPorted.config||typeof window.ccPorted.config?.sandboxStorage>"u"||window.ccPorted.config.sandboxStorage)&&yt(window.gameID||"ccported")()})();})();
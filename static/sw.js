@@ -7,6 +7,7 @@ const PRECACHE_ASSETS = [];
 // Static allowed domains (fallback)
 let ALLOWED_DOMAINS = [
     'ccgstatic.com',
+    'cdn.jsdelivr.net', // game thumbnails, so the offline catalog has covers
 ];
 
 const BLACKLIST = [
@@ -27,6 +28,43 @@ let serversCache = {
     updateInterval: 5 * 60 * 1000 // 5 minutes
 };
 
+// Hostnames of the enabled servers in servers.txt. Mirrors parseServerList()
+// in src/lib/types/servers.ts: JSON ({ version, servers: [...] }), CSV with a
+// header row, or the old headerless hostname,name,path lines
+function parseServerHostnames(text) {
+    const trimmed = text.trim();
+    const isEnabled = value => value === undefined || value === true ||
+        (typeof value === 'string' && !['false', 'no', '0', ''].includes(value.trim().toLowerCase()));
+
+    if (trimmed.startsWith('{')) {
+        try {
+            const data = JSON.parse(trimmed);
+            return (Array.isArray(data.servers) ? data.servers : [])
+                .filter(server => server && typeof server.hostname === 'string' && server.enabled !== false)
+                .map(server => server.hostname);
+        } catch (error) {
+            console.warn('servers.txt is not valid JSON:', error);
+            return [];
+        }
+    }
+
+    const lines = trimmed.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+    const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+    if (!header.includes('hostname')) {
+        return lines.map(line => line.split(',')[0].trim()).filter(hostname => hostname.length > 0);
+    }
+    const hostnameColumn = header.indexOf('hostname');
+    const enabledColumn = header.indexOf('enabled');
+    return lines.slice(1)
+        .map(line => line.split(',').map(part => part.trim()))
+        .filter(parts => enabledColumn === -1 || isEnabled(parts[enabledColumn] || undefined))
+        .map(parts => parts[hostnameColumn] || '')
+        .filter(hostname => hostname.length > 0);
+}
+
 // Load and parse servers.txt
 async function updateAllowedDomains() {
     try {
@@ -44,9 +82,7 @@ async function updateAllowedDomains() {
         }
 
         const text = await response.text();
-        const domains = text.split('\n')
-            .map(line => line.split(",")[0].trim())
-            .filter(line => line.length > 0);
+        const domains = parseServerHostnames(text);
 
         // Update cache
         serversCache = {